@@ -0,0 +1,33 @@
+-- Baseline schema for the musicals table
+-- Matches the columns the worker has relied on since run_id, schedule and
+-- rush/lottery fields were added, so it is safe to apply to existing databases.
+
+CREATE TABLE IF NOT EXISTS musicals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id TEXT,
+  title TEXT NOT NULL,
+  venue_name TEXT NOT NULL,
+  venue_address TEXT,
+  type TEXT NOT NULL CHECK (type IN ('West End', 'Off West End', 'Drama School')),
+  start_date DATE NOT NULL,
+  end_date DATE,
+  description TEXT,
+  ticket_url TEXT,
+  price_from REAL,
+  schedule TEXT,
+  lottery_url TEXT,
+  lottery_price REAL,
+  rush_url TEXT,
+  rush_price REAL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Unique slug used for upsert matching on import
+CREATE UNIQUE INDEX IF NOT EXISTS idx_musicals_run_id ON musicals(run_id);
+
+-- Index for filtering by date range
+CREATE INDEX IF NOT EXISTS idx_musicals_dates ON musicals(start_date, end_date);
+
+-- Index for filtering by type
+CREATE INDEX IF NOT EXISTS idx_musicals_type ON musicals(type);
@@ -0,0 +1,22 @@
+-- Venues referenced by runs, so each theatre has one canonical name and address
+
+CREATE TABLE IF NOT EXISTS venues (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL,
+  name TEXT NOT NULL,
+  aliases TEXT,
+  address TEXT,
+  postcode TEXT,
+  latitude REAL,
+  longitude REAL,
+  capacity INTEGER,
+  access_info TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_venues_slug ON venues(slug);
+
+ALTER TABLE musicals ADD COLUMN venue_id INTEGER REFERENCES venues(id);
+
+CREATE INDEX IF NOT EXISTS idx_musicals_venue ON musicals(venue_id);
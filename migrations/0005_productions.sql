@@ -0,0 +1,20 @@
+-- Productions give a show one identity across seasons and transfers;
+-- each musicals row is a run of a production at a venue
+
+CREATE TABLE IF NOT EXISTS productions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL,
+  title TEXT NOT NULL,
+  synopsis TEXT,
+  creative_team TEXT,
+  genre TEXT,
+  image_url TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_productions_slug ON productions(slug);
+
+ALTER TABLE musicals ADD COLUMN production_id INTEGER REFERENCES productions(id);
+
+CREATE INDEX IF NOT EXISTS idx_musicals_production ON musicals(production_id);
@@ -0,0 +1,17 @@
+-- One-off changes to a run's weekly schedule: extra performances,
+-- cancellations and time changes (Christmas schedules, press nights, ...)
+
+CREATE TABLE IF NOT EXISTS performance_exceptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  musical_id INTEGER NOT NULL REFERENCES musicals(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  slot TEXT NOT NULL CHECK (slot IN ('m', 'e')),
+  change_type TEXT NOT NULL CHECK (change_type IN ('added', 'cancelled', 'time_changed')),
+  time TEXT,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_exceptions_musical ON performance_exceptions(musical_id, date);
+
+CREATE INDEX IF NOT EXISTS idx_exceptions_date ON performance_exceptions(date);
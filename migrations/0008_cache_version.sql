@@ -0,0 +1,10 @@
+-- Version of the public data, part of every edge cache key. Admin writes
+-- bump it, so cached pages and API responses are replaced on the next request.
+
+CREATE TABLE IF NOT EXISTS cache_version (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  version INTEGER NOT NULL DEFAULT 1,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO cache_version (id, version) VALUES (1, 1);
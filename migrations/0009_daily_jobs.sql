@@ -0,0 +1,28 @@
+-- State maintained by the daily cron jobs: run status, stale flags,
+-- precomputed public payloads and a history of job runs
+
+-- active, closed (end date passed) or archived (ended before the public archive cut-off)
+ALTER TABLE musicals ADD COLUMN status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'closed', 'archived'));
+
+-- Set while a current or upcoming run has not been updated for a long time
+ALTER TABLE musicals ADD COLUMN flagged_stale_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS precomputed_payloads (
+  key TEXT PRIMARY KEY,
+  for_date DATE NOT NULL,
+  cache_version INTEGER NOT NULL,
+  payload TEXT NOT NULL,
+  generated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job TEXT NOT NULL,
+  trigger TEXT NOT NULL CHECK (trigger IN ('cron', 'manual')),
+  started_at DATETIME NOT NULL,
+  duration_ms INTEGER NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('success', 'error')),
+  message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_started ON job_runs(started_at);
@@ -0,0 +1,5 @@
+-- Performance length per run, used for end times in performance and
+-- calendar output. Both are optional; interval_count 0 means no interval.
+
+ALTER TABLE musicals ADD COLUMN running_time_minutes INTEGER CHECK (running_time_minutes IS NULL OR running_time_minutes > 0);
+ALTER TABLE musicals ADD COLUMN interval_count INTEGER CHECK (interval_count IS NULL OR interval_count >= 0);
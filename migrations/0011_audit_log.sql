@@ -0,0 +1,19 @@
+-- One row per record changed by an admin write. Entries from the same request
+-- share a batch_id; before_json/after_json hold the whole row (runs include
+-- their performance exceptions), null on the side where the row didn't exist.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  batch_id TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  route TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'import', 'delete_all')),
+  entity TEXT NOT NULL CHECK (entity IN ('musical', 'venue', 'production')),
+  entity_id INTEGER NOT NULL,
+  before_json TEXT,
+  after_json TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_batch ON audit_log(batch_id);
@@ -0,0 +1,6 @@
+-- Runs deleted in the admin panel move to the Trash instead of being removed:
+-- hidden from public pages and APIs until restored, and purged by the daily
+-- jobs once they have been there for the retention period.
+ALTER TABLE musicals ADD COLUMN deleted_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_musicals_deleted ON musicals(deleted_at);
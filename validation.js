@@ -0,0 +1,242 @@
+/**
+ * Validation for musical runs, shared by the admin create, update and import
+ * endpoints so every write path enforces the same rules.
+ *
+ * validateMusical returns { values, errors }. values holds the cleaned fields
+ * ready to bind (trimmed strings, parsed numbers, null for blanks); errors maps
+ * field names to messages and is empty when the record is valid.
+ */
+
+export const MUSICAL_TYPES = ['West End', 'Off West End', 'Drama School'];
+export const EXCEPTION_TYPES = ['added', 'cancelled', 'time_changed'];
+export const SCHEDULE_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const URL_FIELDS = ['ticket_url', 'lottery_url', 'rush_url'];
+const PRICE_FIELDS = ['price_from', 'lottery_price', 'rush_price'];
+const MAX_TEXT_LENGTH = { title: 200, venue_name: 200, venue_address: 300, description: 5000 };
+export const MAX_RUNNING_TIME_MINUTES = 600;
+export const MAX_INTERVALS = 5;
+const INTERVAL_WORDS = { no: 0, one: 1, a: 1, single: 1, two: 2, three: 3 };
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function cleanText(value) {
+  return isBlank(value) ? null : String(value).trim();
+}
+
+// Accepts YYYY-MM-DD or DD/MM/YYYY (as the admin form does) and returns
+// YYYY-MM-DD, or null when the value isn't a real calendar date
+export function parseDate(value) {
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    [, day, month, year] = match;
+  } else {
+    return null;
+  }
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+// Read a running time written out in words, as show-times.md and theatre
+// sites do: "2 hours 40 minutes, including one interval", "1h 15m, no interval".
+// Returns { minutes, intervals } (intervals null when not stated), or null.
+// Only the first duration is read, so "Part 1: 2 hours 45 minutes / Part 2: ..." gives part 1.
+export function parseRunningTime(text) {
+  const value = String(text || '').toLowerCase();
+  const match = value.match(/(\d+)\s*(?:hours?|hrs?|h)\b(?:[\s,]*(\d+)\s*(?:minutes?|mins?|m)\b)?|(\d+)\s*(?:minutes?|mins?|m)\b/);
+  if (!match) return null;
+
+  const minutes = match[1] ? Number(match[1]) * 60 + Number(match[2] || 0) : Number(match[3]);
+  let intervals = null;
+  const intervalMatch = value.match(/\b(no|one|a|single|two|three|\d+)\s+(?:single\s+)?intervals?\b/);
+  if (intervalMatch) {
+    intervals = intervalMatch[1] in INTERVAL_WORDS ? INTERVAL_WORDS[intervalMatch[1]] : Number(intervalMatch[1]);
+  }
+  return minutes > 0 ? { minutes, intervals } : null;
+}
+
+function isTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === 'https:' || url.protocol === 'http:') && !!url.hostname;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Schedule JSON: { mon: { m: "14:30" | null, e: "19:30" | null }, ... }.
+// Boolean slots from the old format are still accepted. Returns { schedule }
+// with the JSON string to store, or { error }.
+export function validateSchedule(value) {
+  let schedule = value;
+  if (typeof value === 'string') {
+    try {
+      schedule = JSON.parse(value);
+    } catch (e) {
+      return { error: 'Schedule must be valid JSON' };
+    }
+  }
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { error: 'Schedule must be an object keyed by day (mon-sun)' };
+  }
+
+  for (const [day, slots] of Object.entries(schedule)) {
+    if (!SCHEDULE_DAYS.includes(day)) {
+      return { error: `Schedule has an unknown day "${day}" (use ${SCHEDULE_DAYS.join(', ')})` };
+    }
+    if (!slots || typeof slots !== 'object' || Array.isArray(slots)) {
+      return { error: `Schedule for ${day} must be an object with "m" and "e" slots` };
+    }
+    for (const [slot, time] of Object.entries(slots)) {
+      if (slot !== 'm' && slot !== 'e') {
+        return { error: `Schedule for ${day} has an unknown slot "${slot}" (use "m" or "e")` };
+      }
+      if (time !== null && typeof time !== 'boolean' && time !== '' && !isTime(time)) {
+        return { error: `Schedule time for ${day} ${slot === 'm' ? 'matinee' : 'evening'} must be HH:MM` };
+      }
+    }
+  }
+
+  return { schedule: Object.keys(schedule).length ? JSON.stringify(schedule) : null };
+}
+
+// Validate performance exceptions posted from the admin schedule grid.
+// Returns { exceptions } with cleaned rows, or { error } describing the first bad row.
+export function normalizeExceptions(list) {
+  if (!Array.isArray(list)) return { error: 'exceptions must be an array' };
+  const exceptions = [];
+
+  for (const [i, e] of list.entries()) {
+    const label = `Exception ${i + 1}`;
+    if (!e || !/^\d{4}-\d{2}-\d{2}$/.test(e.date || '') || !parseDate(e.date)) return { error: `${label}: date must be YYYY-MM-DD` };
+    if (!['m', 'e'].includes(e.slot)) return { error: `${label}: slot must be "m" or "e"` };
+    if (!EXCEPTION_TYPES.includes(e.change_type)) return { error: `${label}: change must be one of ${EXCEPTION_TYPES.join(', ')}` };
+    const time = e.time ? String(e.time).trim() : null;
+    if (e.change_type !== 'cancelled' && !isTime(time)) {
+      return { error: `${label}: time (HH:MM) is required for ${e.change_type.replace('_', ' ')} performances` };
+    }
+    exceptions.push({
+      date: e.date,
+      slot: e.slot,
+      change_type: e.change_type,
+      time: e.change_type === 'cancelled' ? null : time,
+      note: e.note ? String(e.note).trim() || null : null,
+    });
+  }
+
+  return { exceptions };
+}
+
+export function validateMusical(data) {
+  const errors = {};
+  const values = {};
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { values, errors: { record: 'Expected a JSON object' } };
+  }
+
+  for (const field of ['title', 'venue_name', 'venue_address', 'description', 'production_slug', 'run_id']) {
+    values[field] = cleanText(data[field]);
+    if (values[field] && MAX_TEXT_LENGTH[field] && values[field].length > MAX_TEXT_LENGTH[field]) {
+      errors[field] = `Must be at most ${MAX_TEXT_LENGTH[field]} characters`;
+    }
+  }
+  if (!values.title) errors.title = 'Title is required';
+
+  for (const field of ['venue_id', 'production_id']) {
+    values[field] = null;
+    if (isBlank(data[field])) continue;
+    const id = Number(data[field]);
+    if (Number.isInteger(id) && id > 0) values[field] = id;
+    else errors[field] = 'Must be a positive whole number';
+  }
+  if (!values.venue_name && !values.venue_id) errors.venue_name = 'Venue is required';
+
+  if (values.run_id && !/^[a-z0-9-]+$/.test(values.run_id)) {
+    errors.run_id = 'Run ID may only contain lowercase letters, numbers and hyphens';
+  }
+
+  values.type = cleanText(data.type);
+  if (!values.type) errors.type = 'Type is required';
+  else if (!MUSICAL_TYPES.includes(values.type)) errors.type = `Type must be one of ${MUSICAL_TYPES.join(', ')}`;
+
+  values.start_date = isBlank(data.start_date) ? null : parseDate(data.start_date);
+  if (isBlank(data.start_date)) errors.start_date = 'Start date is required';
+  else if (!values.start_date) errors.start_date = 'Start date must be a valid date (YYYY-MM-DD)';
+
+  values.end_date = isBlank(data.end_date) ? null : parseDate(data.end_date);
+  if (!isBlank(data.end_date) && !values.end_date) {
+    errors.end_date = 'End date must be a valid date (YYYY-MM-DD)';
+  } else if (values.end_date && values.start_date && values.end_date < values.start_date) {
+    errors.end_date = 'End date must be on or after the start date';
+  }
+
+  for (const field of URL_FIELDS) {
+    values[field] = cleanText(data[field]);
+    if (values[field] && !isHttpUrl(values[field])) errors[field] = 'Must be a full http(s):// URL';
+  }
+
+  for (const field of PRICE_FIELDS) {
+    values[field] = null;
+    if (isBlank(data[field])) continue;
+    const price = Number(data[field]);
+    if (!Number.isFinite(price)) errors[field] = 'Must be a number';
+    else if (price < 0) errors[field] = 'Must not be negative';
+    else values[field] = price;
+  }
+
+  // Minutes, or a duration in words ("2 hours 40 minutes, including one interval")
+  values.running_time_minutes = null;
+  values.interval_count = null;
+  let statedIntervals = null;
+  if (!isBlank(data.running_time_minutes)) {
+    const text = String(data.running_time_minutes).trim();
+    const parsed = /^\d+$/.test(text) ? { minutes: Number(text), intervals: null } : parseRunningTime(text);
+    if (!parsed) errors.running_time_minutes = 'Must be a number of minutes, e.g. 150 or "2 hours 30 minutes"';
+    else if (parsed.minutes < 1 || parsed.minutes > MAX_RUNNING_TIME_MINUTES) errors.running_time_minutes = `Must be between 1 and ${MAX_RUNNING_TIME_MINUTES} minutes`;
+    else {
+      values.running_time_minutes = parsed.minutes;
+      statedIntervals = parsed.intervals;
+    }
+  }
+  if (!isBlank(data.interval_count)) {
+    const count = Number(data.interval_count);
+    if (!Number.isInteger(count) || count < 0 || count > MAX_INTERVALS) errors.interval_count = `Must be a whole number from 0 to ${MAX_INTERVALS}`;
+    else values.interval_count = count;
+  } else {
+    values.interval_count = statedIntervals;
+  }
+
+  values.schedule = null;
+  if (!isBlank(data.schedule)) {
+    const { schedule, error } = validateSchedule(data.schedule);
+    if (error) errors.schedule = error;
+    else values.schedule = schedule;
+  }
+
+  // Exceptions are only present when the admin form sends them
+  if (data.exceptions !== undefined && data.exceptions !== null) {
+    const { exceptions, error } = normalizeExceptions(data.exceptions);
+    if (error) errors.exceptions = error;
+    else values.exceptions = exceptions;
+  }
+
+  return { values, errors };
+}
+
+// Single-line summary of field errors for toasts and import result lists
+export function describeErrors(errors) {
+  return Object.entries(errors).map(([field, message]) => `${field}: ${message}`).join('; ');
+}
@@ -7,15 +7,34 @@
  * - Admin panel with Basic Auth for CRUD operations
  */
 
-// Basic Auth check
-function checkBasicAuth(request, env) {
+import migration0001 from './migrations/0001_initial_schema.sql';
+import migration0003 from './migrations/0003_venues.sql';
+import migration0005 from './migrations/0005_productions.sql';
+import migration0007 from './migrations/0007_performance_exceptions.sql';
+import migration0008 from './migrations/0008_cache_version.sql';
+import migration0009 from './migrations/0009_daily_jobs.sql';
+import migration0010 from './migrations/0010_running_time.sql';
+import migration0011 from './migrations/0011_audit_log.sql';
+import migration0012 from './migrations/0012_soft_delete.sql';
+import {
+  MUSICAL_TYPES, SCHEDULE_DAYS, MAX_RUNNING_TIME_MINUTES, MAX_INTERVALS,
+  validateMusical, validateSchedule, describeErrors, parseRunningTime,
+} from './validation.js';
+
+// [username, password] from a Basic Authorization header, or null
+function basicAuthCredentials(request) {
   const authHeader = request.headers.get('Authorization');
   if (!authHeader || !authHeader.startsWith('Basic ')) {
-    return false;
+    return null;
   }
   const base64Credentials = authHeader.slice(6);
   const credentials = atob(base64Credentials);
-  const [username, password] = credentials.split(':');
+  return credentials.split(':');
+}
+
+// Basic Auth check
+function checkBasicAuth(request, env) {
+  const [username, password] = basicAuthCredentials(request) || [];
   return username === env.ADMIN_USERNAME && password === env.ADMIN_PASSWORD;
 }
 
@@ -26,21 +45,540 @@ function unauthorizedResponse() {
   });
 }
 
-// Generate normalized slug from title, venue, and start_date
-function generateRunId(title, venueName, startDate) {
-  const normalize = (str) => str
+// Normalize free text into a URL-safe slug
+function slugify(str) {
+  return str
     .toLowerCase()
     .replace(/['']/g, '')           // Remove apostrophes
     .replace(/[^a-z0-9\s-]/g, '')   // Remove special chars
     .replace(/\s+/g, '-')           // Spaces to hyphens
     .replace(/-+/g, '-')            // Multiple hyphens to single
     .replace(/^-|-$/g, '');         // Trim hyphens
+}
+
+// Generate normalized slug from title, venue, and start_date
+function generateRunId(title, venueName, startDate) {
+  return `${slugify(title)}-${slugify(venueName)}-${startDate}`;
+}
+
+// Runs that aren't in the Trash. Public pages, APIs and data checks read from
+// this in place of the musicals table
+const LIVE_MUSICALS = '(SELECT * FROM musicals WHERE deleted_at IS NULL)';
+
+// Runs joined with their venue and production, for public pages and the API
+const RUN_SELECT = `
+  SELECT m.*, v.slug AS venue_slug, v.postcode AS venue_postcode,
+    v.latitude AS venue_latitude, v.longitude AS venue_longitude,
+    p.slug AS production_slug, p.title AS production_title, p.image_url AS production_image_url
+  FROM ${LIVE_MUSICALS} m
+  LEFT JOIN venues v ON v.id = m.venue_id
+  LEFT JOIN productions p ON p.id = m.production_id`;
+
+// Runs with their production slug, as listed and exported in the admin panel.
+// Includes runs in the Trash; filter on m.deleted_at where they shouldn't appear
+const ADMIN_RUN_SELECT = `
+  SELECT m.*, p.slug AS production_slug FROM musicals m
+  LEFT JOIN productions p ON p.id = m.production_id`;
+
+// Live runs for the admin panel. Until the soft_delete migration adds deleted_at
+// there is no Trash to leave out, and the panel must still load to apply it
+async function listAdminRuns(env) {
+  const where = await columnExists(env, 'musicals', 'deleted_at') ? 'WHERE m.deleted_at IS NULL ' : '';
+  const { results } = await env.DB.prepare(`${ADMIN_RUN_SELECT} ${where}ORDER BY m.type, m.title`).all();
+  return results;
+}
+
+// Ordered schema migrations - SQL lives in migrations/, data fixes are functions
+// that return the statements to run
+const MIGRATIONS = [
+  { version: 1, name: 'initial_schema', sql: migration0001 },
+  { version: 2, name: 'backfill_run_ids', run: backfillRunIds },
+  { version: 3, name: 'venues', sql: migration0003 },
+  { version: 4, name: 'link_runs_to_venues', run: linkRunsToVenues },
+  { version: 5, name: 'productions', sql: migration0005 },
+  { version: 6, name: 'link_runs_to_productions', run: linkRunsToProductions },
+  { version: 7, name: 'performance_exceptions', sql: migration0007 },
+  { version: 8, name: 'cache_version', sql: migration0008 },
+  { version: 9, name: 'daily_jobs', sql: migration0009 },
+  { version: 10, name: 'running_time', sql: migration0010 },
+  { version: 11, name: 'audit_log', sql: migration0011 },
+  { version: 12, name: 'soft_delete', sql: migration0012 },
+];
+
+// Populate run_ids for legacy records created before run_id existed
+async function backfillRunIds(env) {
+  const { results } = await env.DB.prepare('SELECT id, title, venue_name, start_date FROM musicals WHERE run_id IS NULL').all();
+  return results.map(row =>
+    env.DB.prepare('UPDATE musicals SET run_id = ? WHERE id = ?')
+      .bind(generateRunId(row.title, row.venue_name, row.start_date), row.id)
+  );
+}
+
+// Create a venue for every distinct venue name and point existing runs at it.
+// New venues are found by slug, as they have no id until the batch runs
+async function linkRunsToVenues(env) {
+  const { results } = await env.DB.prepare(
+    'SELECT id, venue_name, venue_address FROM musicals WHERE venue_id IS NULL'
+  ).all();
+  const venues = await listVenues(env);
+  const slugs = new Set();
+  const statements = [];
+
+  for (const row of results) {
+    let venue = findVenueByName(venues, row.venue_name);
+    if (!venue && row.venue_name) {
+      venue = { name: row.venue_name.trim(), address: row.venue_address, slug: await uniqueVenueSlug(env, row.venue_name, null, slugs) };
+      slugs.add(venue.slug);
+      venues.push(venue);
+      statements.push(insertVenueStatement(env, venue.slug, venue));
+    }
+    if (venue) {
+      statements.push(env.DB.prepare('UPDATE musicals SET venue_id = (SELECT id FROM venues WHERE slug = ?) WHERE id = ?')
+        .bind(venue.slug, row.id));
+    }
+  }
+  return statements;
+}
+
+// Create a production for every distinct show title and point existing runs at it.
+// New productions are found by slug, as they have no id until the batch runs
+async function linkRunsToProductions(env) {
+  const { results } = await env.DB.prepare(
+    'SELECT id, title, description FROM musicals WHERE production_id IS NULL ORDER BY start_date DESC'
+  ).all();
+  const productions = await listProductions(env);
+  const slugs = new Set();
+  const statements = [];
+
+  for (const row of results) {
+    let production = matchProduction(row, productions);
+    if (!production && row.title) {
+      // A new production starts with the run's description as its synopsis
+      production = { title: row.title.trim(), synopsis: row.description, slug: await uniqueProductionSlug(env, row.title, null, slugs) };
+      slugs.add(production.slug);
+      productions.push(production);
+      statements.push(insertProductionStatement(env, production.slug, production));
+    }
+    if (production) {
+      statements.push(env.DB.prepare('UPDATE musicals SET production_id = (SELECT id FROM productions WHERE slug = ?) WHERE id = ?')
+        .bind(production.slug, row.id));
+    }
+  }
+  return statements;
+}
+
+// Split a migration file into individual statements (no semicolons inside literals)
+function splitSqlStatements(sql) {
+  return sql
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(';')
+    .map(stmt => stmt.trim())
+    .filter(Boolean);
+}
+
+async function ensureMigrationsTable(env) {
+  await env.DB.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+}
+
+async function getMigrationStatus(env) {
+  await ensureMigrationsTable(env);
+  const { results } = await env.DB.prepare('SELECT version, applied_at FROM schema_migrations').all();
+  const applied = new Map(results.map(r => [r.version, r.applied_at]));
+
+  const migrations = MIGRATIONS.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied_at: applied.get(m.version) || null,
+  }));
+  const current = migrations.filter(m => m.applied_at).reduce((max, m) => Math.max(max, m.version), 0);
+
+  return {
+    current_version: current,
+    latest_version: MIGRATIONS[MIGRATIONS.length - 1].version,
+    pending: migrations.filter(m => !m.applied_at).length,
+    migrations,
+  };
+}
+
+// Apply pending migrations in order, stopping at the first failure
+async function applyPendingMigrations(env) {
+  const status = await getMigrationStatus(env);
+  const pending = MIGRATIONS.filter(m => !status.migrations.find(s => s.version === m.version).applied_at);
+  const applied = [];
+
+  for (const migration of pending) {
+    const record = env.DB.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+      .bind(migration.version, migration.name);
+
+    try {
+      // D1 batches run in a single transaction, so a failing migration leaves no
+      // trace. Data migrations only read before returning their writes, so this
+      // holds for them too
+      const statements = migration.sql
+        ? splitSqlStatements(migration.sql).map(sql => env.DB.prepare(sql))
+        : await migration.run(env);
+      await env.DB.batch([...statements, record]);
+      applied.push({ version: migration.version, name: migration.name });
+    } catch (err) {
+      return { applied, error: { version: migration.version, name: migration.name, message: err.message } };
+    }
+  }
+
+  return { applied, error: null };
+}
+
+async function tableExists(env, name) {
+  const row = await env.DB.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .bind(name).first();
+  return !!row;
+}
+
+async function columnExists(env, table, column) {
+  const { results } = await env.DB.prepare(`PRAGMA table_info(${table})`).all();
+  return results.some(col => col.name === column);
+}
+
+// UK postcode at the end of an address, e.g. "Wilton Road, London SW1V 1LG"
+function extractPostcode(address) {
+  if (!address) return null;
+  const match = address.match(/\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i);
+  return match ? `${match[1]} ${match[2]}`.toUpperCase() : null;
+}
+
+// Aliases are stored as a JSON array; accept an array or comma-separated text
+function normalizeAliases(aliases) {
+  if (!aliases) return [];
+  const list = Array.isArray(aliases) ? aliases : String(aliases).split(',');
+  return [...new Set(list.map(a => String(a).trim()).filter(Boolean))];
+}
+
+function parseAliases(venue) {
+  try {
+    return venue.aliases ? JSON.parse(venue.aliases) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+async function listVenues(env) {
+  const { results } = await env.DB.prepare('SELECT * FROM venues ORDER BY name').all();
+  return results;
+}
+
+// Match a free-text venue name against venue names and aliases, ignoring case and punctuation
+function findVenueByName(venues, name) {
+  const slug = slugify(name || '');
+  if (!slug) return null;
+  return venues.find(v => slugify(v.name) === slug || parseAliases(v).some(a => slugify(a) === slug)) || null;
+}
+
+// A slug no other venue has; `taken` holds slugs of venues not yet inserted
+async function uniqueVenueSlug(env, name, excludeId = null, taken = new Set()) {
+  const base = slugify(name) || 'venue';
+  let slug = base;
+  for (let n = 2; ; n++) {
+    const existing = await env.DB.prepare('SELECT id FROM venues WHERE slug = ? AND id IS NOT ?').bind(slug, excludeId).first();
+    if (!existing && !taken.has(slug)) return slug;
+    slug = `${base}-${n}`;
+  }
+}
+
+function insertVenueStatement(env, slug, data) {
+  return env.DB.prepare(`
+    INSERT INTO venues (slug, name, aliases, address, postcode, latitude, longitude, capacity, access_info)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    slug,
+    data.name,
+    JSON.stringify(normalizeAliases(data.aliases)),
+    data.address || null,
+    data.postcode || extractPostcode(data.address),
+    data.latitude ?? null,
+    data.longitude ?? null,
+    data.capacity ?? null,
+    data.access_info || null
+  );
+}
+
+// Create a venue, with its audit entry when given an audit context
+async function createVenue(env, data, audit = null) {
+  const slug = await uniqueVenueSlug(env, data.name);
+  await env.DB.batch([
+    insertVenueStatement(env, slug, data),
+    ...(audit ? [auditAfterStatement(env, audit, await snapshotJsonSql(env, 'venue'), { action: 'create', entity: 'venue' }, 'r.slug = ?', slug)] : []),
+  ]);
+  return env.DB.prepare('SELECT * FROM venues WHERE slug = ?').bind(slug).first();
+}
+
+// Find a run's existing venue by venue_id, or by name/alias
+function matchVenue(data, venues) {
+  const venue = data.venue_id ? venues.find(v => v.id === Number(data.venue_id)) : null;
+  return venue || findVenueByName(venues, data.venue_name);
+}
 
-  return `${normalize(title)}-${normalize(venueName)}-${startDate}`;
+// The venue fields stored on a run, given its matched venue (or null for a venue not yet created)
+function runVenueFields(data, venue) {
+  if (!venue) {
+    return { venue_id: null, venue_name: data.venue_name, venue_address: data.venue_address || null };
+  }
+  return {
+    venue_id: venue.id,
+    venue_name: venue.name,
+    venue_address: venue.address || data.venue_address || null,
+  };
+}
+
+// Resolve a run's venue from venue_id or by name/alias, creating it on first sight
+// (logged when given an audit context). Returns the canonical venue fields to store
+// on the run. `venues` is a preloaded list (from listVenues) that newly created
+// venues are appended to.
+async function resolveVenue(env, data, venues, audit = null) {
+  let venue = matchVenue(data, venues);
+  if (!venue && data.venue_name) {
+    venue = await createVenue(env, { name: data.venue_name.trim(), address: data.venue_address }, audit);
+    venues.push(venue);
+  }
+  return runVenueFields(data, venue);
+}
+
+// Whether a venue's canonical name and address would change one of its runs
+function venueRunChanged(venue, run) {
+  return run.venue_name !== venue.name || run.run_id !== generateRunId(run.title, venue.name, run.start_date) ||
+    (!!venue.address && run.venue_address !== venue.address);
+}
+
+// Push a venue's canonical name and address onto one of its runs
+function syncVenueRunStatement(env, venue, run) {
+  return env.DB.prepare(`
+    UPDATE musicals SET venue_name = ?, venue_address = COALESCE(?, venue_address), run_id = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(venue.name, venue.address || null, generateRunId(run.title, venue.name, run.start_date), run.id);
+}
+
+// Statements replacing all exceptions for a run. The run is found by run_id, so
+// they can follow its insert or update in the same batch
+function exceptionStatements(env, runId, exceptions) {
+  return [
+    env.DB.prepare('DELETE FROM performance_exceptions WHERE musical_id = (SELECT id FROM musicals WHERE run_id = ?)').bind(runId),
+    ...exceptions.map(e => env.DB.prepare(`
+      INSERT INTO performance_exceptions (musical_id, date, slot, change_type, time, note)
+      VALUES ((SELECT id FROM musicals WHERE run_id = ?), ?, ?, ?, ?, ?)
+    `).bind(runId, e.date, e.slot, e.change_type, e.time, e.note)),
+  ];
+}
+
+// Attach each run's exceptions on or after fromDate as an `exceptions` array
+async function attachExceptions(env, runs, fromDate) {
+  const { results } = await env.DB.prepare(`
+    SELECT musical_id, date, slot, change_type, time, note FROM performance_exceptions
+    WHERE date >= ? ORDER BY date, slot
+  `).bind(fromDate).all();
+
+  const byRun = new Map();
+  for (const { musical_id, ...exception } of results) {
+    if (!byRun.has(musical_id)) byRun.set(musical_id, []);
+    byRun.get(musical_id).push(exception);
+  }
+  runs.forEach(run => { run.exceptions = byRun.get(run.id) || []; });
+  return runs;
+}
+
+// Creative team is stored as a JSON array of { role, name }; accept that
+// or text with one "Role: Name" per line
+function normalizeCreativeTeam(team) {
+  if (!team) return [];
+  const list = Array.isArray(team) ? team : String(team).split('\n').map(line => {
+    const idx = line.indexOf(':');
+    return idx === -1 ? { role: '', name: line } : { role: line.slice(0, idx), name: line.slice(idx + 1) };
+  });
+  return list
+    .map(member => ({ role: String(member.role || '').trim(), name: String(member.name || '').trim() }))
+    .filter(member => member.name);
+}
+
+function parseCreativeTeam(production) {
+  try {
+    return production.creative_team ? JSON.parse(production.creative_team) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+async function listProductions(env) {
+  const { results } = await env.DB.prepare('SELECT * FROM productions ORDER BY title').all();
+  return results;
+}
+
+// A slug no other production has; `taken` holds slugs of productions not yet inserted
+async function uniqueProductionSlug(env, base, excludeId = null, taken = new Set()) {
+  base = slugify(base) || 'production';
+  let slug = base;
+  for (let n = 2; ; n++) {
+    const existing = await env.DB.prepare('SELECT id FROM productions WHERE slug = ? AND id IS NOT ?').bind(slug, excludeId).first();
+    if (!existing && !taken.has(slug)) return slug;
+    slug = `${base}-${n}`;
+  }
+}
+
+function insertProductionStatement(env, slug, data) {
+  return env.DB.prepare(`
+    INSERT INTO productions (slug, title, synopsis, creative_team, genre, image_url)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(
+    slug,
+    data.title,
+    data.synopsis || null,
+    JSON.stringify(normalizeCreativeTeam(data.creative_team)),
+    data.genre || null,
+    data.image_url || null
+  );
+}
+
+// Create a production, with its audit entry when given an audit context
+async function createProduction(env, data, audit = null) {
+  const slug = await uniqueProductionSlug(env, data.slug || data.title);
+  await env.DB.batch([
+    insertProductionStatement(env, slug, data),
+    ...(audit ? [auditAfterStatement(env, audit, await snapshotJsonSql(env, 'production'), { action: 'create', entity: 'production' }, 'r.slug = ?', slug)] : []),
+  ]);
+  return env.DB.prepare('SELECT * FROM productions WHERE slug = ?').bind(slug).first();
+}
+
+// Find a run's existing production by production_id, production_slug or its title
+function matchProduction(data, productions) {
+  let production = data.production_id ? productions.find(p => p.id === Number(data.production_id)) : null;
+  const slug = data.production_slug ? slugify(data.production_slug) : '';
+  if (!production && slug) production = productions.find(p => p.slug === slug);
+  if (!production && !slug && data.title) {
+    const titleSlug = slugify(data.title);
+    production = productions.find(p => p.slug === titleSlug || slugify(p.title) === titleSlug);
+  }
+  return production || null;
+}
+
+// Resolve a run's production from production_id, production_slug or its title,
+// creating it on first sight (logged when given an audit context). `productions`
+// is a preloaded list (from listProductions) that newly created productions are
+// appended to.
+async function resolveProduction(env, data, productions, audit = null) {
+  let production = matchProduction(data, productions);
+  if (!production && data.title) {
+    // A new production starts with the run's description as its synopsis
+    const slug = data.production_slug ? slugify(data.production_slug) : '';
+    production = await createProduction(env, { title: data.title.trim(), slug: slug || null, synopsis: data.description }, audit);
+    productions.push(production);
+  }
+  return production;
+}
+
+// Public responses served through the Workers Cache API. Cache keys include the
+// data version from cache_version (bumped by admin writes) and today's date,
+// since listings change at midnight, so stale entries are never matched again.
+const EDGE_CACHE_SECONDS = 86400;
+const EDGE_CACHED_PATHS = [
+  /^\/$/,
+  /^\/api\/musicals$/,
+  /^\/api\/musicals\/\d+(\/calendar\.ics)?$/,
+  /^\/api\/stats$/,
+  /^\/shows\/[a-z0-9-]+\/?$/,
+  /^\/sitemap(-pages|-shows-\d+)?\.xml$/,
+  /^\/feeds\/(new|closing-soon)\.(atom|rss)$/,
+];
+
+async function getCacheVersion(env) {
+  try {
+    return await env.DB.prepare('SELECT version, updated_at FROM cache_version WHERE id = 1').first();
+  } catch (e) {
+    // cache_version migration not applied yet
+    return null;
+  }
+}
+
+// Admin POST routes that don't change public data
+const NON_WRITING_ADMIN_POSTS = [
+  '/admin/api/jobs/run', '/admin/api/musicals/import/preview', '/admin/api/schedules/preview', '/admin/api/restore/preview',
+];
+
+async function bumpCacheVersion(env) {
+  try {
+    await env.DB.prepare(
+      'UPDATE cache_version SET version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = 1'
+    ).run();
+  } catch (e) {
+    console.error('Failed to bump cache version:', e.message);
+  }
+}
+
+function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+  }
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  return !isNaN(ifModifiedSince) && Date.parse(lastModified) <= ifModifiedSince;
+}
+
+// Short hex digest of a cache key, so each cached URL gets its own ETag
+async function cacheKeyDigest(key) {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(key));
+  return [...new Uint8Array(digest)].slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Serve a GET through the edge cache, answering conditional requests with 304.
+// Only 200 responses are stored, and a 304 is only sent for a URL that has one.
+async function withEdgeCache(request, env, ctx, generate) {
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || !EDGE_CACHED_PATHS.some(pattern => pattern.test(url.pathname))) {
+    return generate();
+  }
+  const state = await getCacheVersion(env);
+  if (!state) return generate();
+
+  const today = new Date().toISOString().split('T')[0];
+  const keyUrl = new URL(url);
+  keyUrl.searchParams.sort();
+  keyUrl.searchParams.set('__v', `${state.version}-${today}`);
+  const cacheKey = new Request(keyUrl.toString(), { method: 'GET' });
+  const cache = caches.default;
+
+  const etag = `W/"${state.version}-${today}-${await cacheKeyDigest(keyUrl.pathname + keyUrl.search)}"`;
+  const updatedAt = Date.parse(String(state.updated_at).replace(' ', 'T') + 'Z');
+  const lastModified = new Date(Math.max(updatedAt || 0, Date.parse(today + 'T00:00:00Z'))).toUTCString();
+  const validators = {
+    'ETag': etag,
+    'Last-Modified': lastModified,
+    'Cache-Control': 'public, max-age=0, must-revalidate',
+  };
+  if (url.pathname.startsWith('/api/')) validators['Access-Control-Allow-Origin'] = '*';
+
+  let response = await cache.match(cacheKey);
+  if (!response) {
+    response = await generate();
+    if (response.status !== 200) return response;
+    response = new Response(response.body, response);
+    response.headers.set('Cache-Control', `public, max-age=${EDGE_CACHE_SECONDS}`);
+    ctx.waitUntil(cache.put(cacheKey, response.clone()));
+  }
+
+  if (isNotModified(request, etag, lastModified)) {
+    return new Response(null, { status: 304, headers: validators });
+  }
+  response = new Response(response.body, response);
+  Object.entries(validators).forEach(([name, value]) => response.headers.set(name, value));
+  return response;
 }
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // Admin routes - require authentication
@@ -50,8 +588,15 @@ export default {
       }
 
       // Admin API routes
+      // Any successful write moves public responses on to fresh cache keys.
+      // Running the daily jobs changes nothing public and would void their precomputed
+      // payloads, and an import preview writes nothing
       if (url.pathname.startsWith('/admin/api/')) {
-        return handleAdminAPI(request, env, url);
+        const response = await handleAdminAPI(request, env, url);
+        if (request.method !== 'GET' && response.ok && !NON_WRITING_ADMIN_POSTS.includes(url.pathname)) {
+          await bumpCacheVersion(env);
+        }
+        return response;
       }
 
       // Admin UI
@@ -62,7 +607,67 @@ export default {
 
     // Public API Routes
     if (url.pathname.startsWith('/api/')) {
-      return handleAPI(request, env, url);
+      return withEdgeCache(request, env, ctx, () => handleAPI(request, env, url));
+    }
+
+    // Public venue pages
+    const venueMatch = url.pathname.match(/^\/venues\/([a-z0-9-]+)\/?$/);
+    if (venueMatch) {
+      const html = await generateVenueHTML(env, venueMatch[1]);
+      if (!html) {
+        return new Response('Venue not found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+      }
+      return new Response(html, {
+        headers: { 'Content-Type': 'text/html' },
+      });
+    }
+
+    // Public production pages
+    const productionMatch = url.pathname.match(/^\/productions\/([a-z0-9-]+)\/?$/);
+    if (productionMatch) {
+      const html = await generateProductionHTML(env, productionMatch[1]);
+      if (!html) {
+        return new Response('Production not found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+      }
+      return new Response(html, {
+        headers: { 'Content-Type': 'text/html' },
+      });
+    }
+
+    // Public show pages, by run_id
+    const showMatch = url.pathname.match(/^\/shows\/([a-z0-9-]+)\/?$/);
+    if (showMatch) {
+      return withEdgeCache(request, env, ctx, async () => {
+        const html = await generateShowHTML(env, showMatch[1], url);
+        if (!html) {
+          return new Response('Show not found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+        }
+        return new Response(html, {
+          headers: { 'Content-Type': 'text/html' },
+        });
+      });
+    }
+
+    // Calendar feed for a filter, e.g. /calendar.ics?type=West%20End&rush=1
+    if (url.pathname === '/calendar.ics') {
+      return handleCalendarFeed(env, url);
+    }
+
+    // Sitemaps for search engines
+    if (/^\/sitemap(-pages|-shows-\d+)?\.xml$/.test(url.pathname)) {
+      return withEdgeCache(request, env, ctx, () => handleSitemap(env, url));
+    }
+
+    // Atom/RSS feeds of new and closing runs
+    const feedMatch = url.pathname.match(/^\/feeds\/(new|closing-soon)\.(atom|rss)$/);
+    if (feedMatch) {
+      return withEdgeCache(request, env, ctx, () => handleFeed(env, url, feedMatch[1], feedMatch[2]));
+    }
+
+    if (url.pathname === '/robots.txt') {
+      return new Response(robotsTxt(url.origin), {
+        headers: { 'Content-Type': 'text/plain' },
+      });
     }
 
     // Demo showcards page
@@ -73,273 +678,2064 @@ export default {
     }
 
     // Serve the public HTML interface
-    return new Response(await generateHTML(env), {
+    return withEdgeCache(request, env, ctx, async () => new Response(await generateHTML(env, url), {
       headers: { 'Content-Type': 'text/html' },
-    });
+    }));
   },
 
   // Cron trigger - runs daily
   async scheduled(event, env, ctx) {
-    const today = new Date().toISOString().split('T')[0];
-    const { results } = await env.DB.prepare(`
-      SELECT COUNT(*) as count FROM musicals
-      WHERE start_date <= ? AND (end_date IS NULL OR end_date >= ?)
-    `).bind(today, today).all();
-    console.log(`[Cron] ${today}: ${results[0].count} active musicals`);
+    const runs = await runDailyJobs(env, 'cron');
+    runs.forEach(run => console.log(`[Cron] ${run.job}: ${run.status} in ${run.duration_ms}ms - ${run.message}`));
   },
 };
 
-// Admin API handlers
-async function handleAdminAPI(request, env, url) {
-  const headers = { 'Content-Type': 'application/json' };
+// Daily maintenance jobs, run in order by the cron trigger (or from the admin
+// panel). Each returns a one-line summary that is recorded in job_runs; a
+// failing job is recorded and the rest still run.
+const STALE_DAYS = 90;
+const TRASH_RETENTION_DAYS = 30;
+const DAILY_JOBS = [
+  { name: 'close_ended_runs', run: closeEndedRuns },
+  { name: 'flag_stale_runs', run: flagStaleRuns },
+  { name: 'purge_trash', run: purgeTrash },
+  { name: 'precompute_payloads', run: precomputePayloads },
+];
+
+// Runs are closed once their end date passes and archived once past the
+// public archive cut-off; runs extended since are reopened
+async function closeEndedRuns(env) {
+  const today = new Date().toISOString().split('T')[0];
+  const archiveDate = addDays(today, -ARCHIVE_DAYS);
+  const [archived, closed, reopened] = await env.DB.batch([
+    env.DB.prepare(`UPDATE musicals SET status = 'archived' WHERE end_date < ? AND status != 'archived'`)
+      .bind(archiveDate),
+    env.DB.prepare(`UPDATE musicals SET status = 'closed' WHERE end_date < ? AND end_date >= ? AND status != 'closed'`)
+      .bind(today, archiveDate),
+    env.DB.prepare(`UPDATE musicals SET status = 'active' WHERE (end_date IS NULL OR end_date >= ?) AND status != 'active'`)
+      .bind(today),
+  ]);
+  return `${closed.meta.changes} closed, ${archived.meta.changes} archived, ${reopened.meta.changes} reopened`;
+}
 
-  try {
-    // GET /admin/api/musicals - List ALL musicals (not just current)
-    if (url.pathname === '/admin/api/musicals' && request.method === 'GET') {
-      const { results } = await env.DB.prepare(
-        'SELECT * FROM musicals ORDER BY type, title'
-      ).all();
-      return new Response(JSON.stringify(results), { headers });
-    }
+// Flag current and upcoming runs nobody has updated in STALE_DAYS
+async function flagStaleRuns(env) {
+  const today = new Date().toISOString().split('T')[0];
+  const threshold = `-${STALE_DAYS} days`;
+  const [flagged, cleared] = await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE musicals SET flagged_stale_at = CURRENT_TIMESTAMP
+      WHERE flagged_stale_at IS NULL AND updated_at < datetime('now', ?) AND (end_date IS NULL OR end_date >= ?)
+    `).bind(threshold, today),
+    env.DB.prepare(`
+      UPDATE musicals SET flagged_stale_at = NULL
+      WHERE flagged_stale_at IS NOT NULL AND (updated_at >= datetime('now', ?) OR end_date < ?)
+    `).bind(threshold, today),
+  ]);
+  return `${flagged.meta.changes} flagged, ${cleared.meta.changes} cleared`;
+}
 
-    // POST /admin/api/musicals - Create new musical
-    if (url.pathname === '/admin/api/musicals' && request.method === 'POST') {
-      const data = await request.json();
-      const runId = generateRunId(data.title, data.venue_name, data.start_date);
-
-      const result = await env.DB.prepare(`
-        INSERT INTO musicals (title, venue_name, venue_address, type, start_date, end_date, description, ticket_url, price_from, schedule, lottery_url, lottery_price, rush_url, rush_price, run_id)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `).bind(
-        data.title,
-        data.venue_name,
-        data.venue_address || null,
-        data.type,
-        data.start_date,
-        data.end_date || null,
-        data.description || null,
-        data.ticket_url || null,
-        data.price_from || null,
-        data.schedule || null,
-        data.lottery_url || null,
-        data.lottery_price || null,
-        data.rush_url || null,
-        data.rush_price || null,
-        runId
-      ).run();
-
-      const newMusical = await env.DB.prepare('SELECT * FROM musicals WHERE id = ?')
-        .bind(result.meta.last_row_id).first();
+// Permanently delete runs that have been in the Trash for TRASH_RETENTION_DAYS.
+// They are logged as they go, so a purge can still be undone from the audit log
+async function purgeTrash(env) {
+  const cutoff = sqlTimestamp(new Date(Date.now() - TRASH_RETENTION_DAYS * 86400000));
+  const { results } = await env.DB.prepare('SELECT id FROM musicals WHERE deleted_at < ?').bind(cutoff).all();
+  if (!results.length) return '0 purged';
+
+  const audit = { batchId: crypto.randomUUID(), actor: 'daily_jobs', route: 'job purge_trash' };
+  const snapshots = await musicalSnapshots(env, results.map(r => r.id));
+  await env.DB.batch(purgeStatements(env, audit, [...snapshots.values()]));
+  return `${snapshots.size} purged`;
+}
 
-      return new Response(JSON.stringify(newMusical), { status: 201, headers });
-    }
+// Store today's /api/stats response and default listing window. They are
+// served only while cache_version is unchanged, so admin writes void them
+async function precomputePayloads(env) {
+  const state = await getCacheVersion(env);
+  if (!state) throw new Error('cache_version migration not applied');
+  const today = new Date().toISOString().split('T')[0];
+  const stats = await loadStats(env, today);
+  const listing = await loadListingRuns(env, today, defaultWindowEnd(today), addDays(today, -7));
+
+  const insert = `
+    INSERT INTO precomputed_payloads (key, for_date, cache_version, payload, generated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET for_date = excluded.for_date, cache_version = excluded.cache_version,
+      payload = excluded.payload, generated_at = excluded.generated_at
+  `;
+  await env.DB.batch([
+    env.DB.prepare(insert).bind('stats', today, state.version, JSON.stringify(stats)),
+    env.DB.prepare(insert).bind('listing', today, state.version, JSON.stringify(listing)),
+  ]);
+  return `stats and listing for ${today} (${listing.length} runs)`;
+}
 
-    // PUT /admin/api/musicals/:id - Update musical
-    if (url.pathname.match(/^\/admin\/api\/musicals\/\d+$/) && request.method === 'PUT') {
-      const id = url.pathname.split('/')[4];
-      const data = await request.json();
-      const runId = generateRunId(data.title, data.venue_name, data.start_date);
-
-      await env.DB.prepare(`
-        UPDATE musicals SET
-          title = ?, venue_name = ?, venue_address = ?, type = ?,
-          start_date = ?, end_date = ?, description = ?,
-          ticket_url = ?, price_from = ?, schedule = ?,
-          lottery_url = ?, lottery_price = ?, rush_url = ?, rush_price = ?,
-          run_id = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `).bind(
-        data.title,
-        data.venue_name,
-        data.venue_address || null,
-        data.type,
-        data.start_date,
-        data.end_date || null,
-        data.description || null,
-        data.ticket_url || null,
-        data.price_from || null,
-        data.schedule || null,
-        data.lottery_url || null,
-        data.lottery_price || null,
-        data.rush_url || null,
-        data.rush_price || null,
-        runId,
-        id
-      ).run();
-
-      const updated = await env.DB.prepare('SELECT * FROM musicals WHERE id = ?').bind(id).first();
-      return new Response(JSON.stringify(updated), { headers });
-    }
+// Precomputed payload for today, or null if missing or out of date
+async function getPrecomputed(env, key, today) {
+  try {
+    const row = await env.DB.prepare(`
+      SELECT p.payload FROM precomputed_payloads p
+      JOIN cache_version c ON c.id = 1 AND c.version = p.cache_version
+      WHERE p.key = ? AND p.for_date = ?
+    `).bind(key, today).first();
+    return row ? row.payload : null;
+  } catch (e) {
+    // daily_jobs migration not applied yet
+    return null;
+  }
+}
 
-    // DELETE /admin/api/musicals/:id - Delete musical
-    if (url.pathname.match(/^\/admin\/api\/musicals\/\d+$/) && request.method === 'DELETE') {
-      const id = url.pathname.split('/')[4];
-      await env.DB.prepare('DELETE FROM musicals WHERE id = ?').bind(id).run();
-      return new Response(JSON.stringify({ success: true }), { headers });
-    }
+// Run every daily job and record each in job_runs
+async function runDailyJobs(env, trigger) {
+  if (!await tableExists(env, 'job_runs')) {
+    return [{ job: 'all', status: 'error', duration_ms: 0, message: 'daily_jobs migration not applied' }];
+  }
+  const runs = [];
+  for (const job of DAILY_JOBS) {
+    const startedAt = new Date();
+    let status = 'success';
+    let message;
+    try {
+      message = await job.run(env);
+    } catch (e) {
+      status = 'error';
+      message = e.message;
+    }
+    const run = {
+      job: job.name,
+      trigger,
+      started_at: startedAt.toISOString(),
+      duration_ms: Date.now() - startedAt.getTime(),
+      status,
+      message,
+    };
+    await env.DB.prepare(`
+      INSERT INTO job_runs (job, trigger, started_at, duration_ms, status, message) VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(run.job, run.trigger, run.started_at, run.duration_ms, run.status, run.message).run();
+    runs.push(run);
+  }
+  return runs;
+}
 
-    // POST /admin/api/musicals/import - Bulk import from CSV data with upsert
-    if (url.pathname === '/admin/api/musicals/import' && request.method === 'POST') {
-      const { records } = await request.json();
-      let inserted = 0;
-      let updated = 0;
-      let errors = [];
+// Data-quality checks for /admin/api/health-report. Each query returns the
+// offending musicals (id, run_id, title, venue_name, start_date, end_date)
+// plus any columns its detail() needs to explain the problem.
+const HEALTH_CHECKS = [
+  {
+    id: 'missing_schedule',
+    label: 'Missing or invalid schedule',
+    sql: `SELECT id, run_id, title, venue_name, start_date, end_date, schedule FROM ${LIVE_MUSICALS}
+      WHERE schedule IS NULL OR TRIM(schedule) = '' OR NOT json_valid(schedule)`,
+    detail: m => (m.schedule ? 'Schedule is not valid JSON' : 'No weekly schedule'),
+  },
+  {
+    id: 'end_before_start',
+    label: 'End date before start date',
+    sql: `SELECT id, run_id, title, venue_name, start_date, end_date FROM ${LIVE_MUSICALS}
+      WHERE end_date IS NOT NULL AND end_date < start_date`,
+    detail: m => `Ends ${m.end_date}, starts ${m.start_date}`,
+  },
+  {
+    id: 'price_without_url',
+    label: 'Lottery or rush price without a URL',
+    sql: `SELECT id, run_id, title, venue_name, start_date, end_date, lottery_price, rush_price,
+        (lottery_price IS NOT NULL AND COALESCE(lottery_url, '') = '') AS lottery_missing
+      FROM ${LIVE_MUSICALS}
+      WHERE (lottery_price IS NOT NULL AND COALESCE(lottery_url, '') = '')
+        OR (rush_price IS NOT NULL AND COALESCE(rush_url, '') = '')`,
+    detail: m => (m.lottery_missing ? `Lottery £${m.lottery_price} has no lottery_url` : `Rush £${m.rush_price} has no rush_url`),
+  },
+  {
+    id: 'zero_price',
+    label: 'Price of zero or less',
+    sql: `SELECT id, run_id, title, venue_name, start_date, end_date, price_from, lottery_price, rush_price FROM ${LIVE_MUSICALS}
+      WHERE price_from <= 0 OR lottery_price <= 0 OR rush_price <= 0`,
+    detail: m => [['price_from', m.price_from], ['lottery_price', m.lottery_price], ['rush_price', m.rush_price]]
+      .filter(([, price]) => price != null && price <= 0).map(([field, price]) => `${field} is ${price}`).join(', '),
+  },
+  {
+    id: 'duplicate_overlap',
+    label: 'Same title at the same venue with overlapping dates',
+    sql: `SELECT a.id, a.run_id, a.title, a.venue_name, a.start_date, a.end_date,
+        b.id AS other_id, b.start_date AS other_start, b.end_date AS other_end
+      FROM ${LIVE_MUSICALS} a
+      JOIN ${LIVE_MUSICALS} b ON b.id != a.id
+        AND LOWER(b.title) = LOWER(a.title)
+        AND (b.venue_id = a.venue_id OR LOWER(b.venue_name) = LOWER(a.venue_name))
+        AND a.start_date <= COALESCE(b.end_date, '9999-12-31')
+        AND b.start_date <= COALESCE(a.end_date, '9999-12-31')`,
+    detail: m => `Overlaps #${m.other_id} (${m.other_start} to ${m.other_end || 'open run'})`,
+  },
+];
+
+// Run every health check over musicals
+async function buildHealthReport(env) {
+  const results = await env.DB.batch(HEALTH_CHECKS.map(check => env.DB.prepare(`SELECT * FROM (${check.sql}) ORDER BY title, start_date`)));
+  const checks = HEALTH_CHECKS.map((check, i) => ({
+    id: check.id,
+    label: check.label,
+    count: results[i].results.length,
+    records: results[i].results.map(m => ({
+      id: m.id,
+      run_id: m.run_id,
+      title: m.title,
+      venue_name: m.venue_name,
+      start_date: m.start_date,
+      end_date: m.end_date,
+      detail: check.detail(m),
+    })),
+  }));
+  return {
+    generated_at: new Date().toISOString(),
+    issue_count: checks.reduce((sum, check) => sum + check.count, 0),
+    checks,
+  };
+}
 
-      for (const row of records) {
-        try {
-          // Use provided run_id or generate one
-          const runId = (row.run_id && row.run_id.trim()) ? row.run_id.trim() : generateRunId(row.title, row.venue_name, row.start_date);
-
-          // Check if record exists
-          const existing = await env.DB.prepare('SELECT id FROM musicals WHERE run_id = ?').bind(runId).first();
-
-          if (existing) {
-            // Update existing record
-            await env.DB.prepare(`
-              UPDATE musicals SET
-                title = ?, venue_name = ?, venue_address = ?, type = ?,
-                start_date = ?, end_date = ?, description = ?,
-                ticket_url = ?, price_from = ?, schedule = ?,
-                lottery_url = ?, lottery_price = ?, rush_url = ?, rush_price = ?,
-                updated_at = CURRENT_TIMESTAMP
-              WHERE run_id = ?
-            `).bind(
-              row.title,
-              row.venue_name,
-              row.venue_address || null,
-              row.type,
-              row.start_date,
-              row.end_date || null,
-              row.description || null,
-              row.ticket_url || null,
-              row.price_from ? parseFloat(row.price_from) : null,
-              row.schedule || null,
-              row.lottery_url || null,
-              row.lottery_price ? parseFloat(row.lottery_price) : null,
-              row.rush_url || null,
-              row.rush_price ? parseFloat(row.rush_price) : null,
-              runId
-            ).run();
-            updated++;
-          } else {
-            // Insert new record
-            await env.DB.prepare(`
-              INSERT INTO musicals (title, venue_name, venue_address, type, start_date, end_date, description, ticket_url, price_from, schedule, lottery_url, lottery_price, rush_url, rush_price, run_id)
-              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `).bind(
-              row.title,
-              row.venue_name,
-              row.venue_address || null,
-              row.type,
-              row.start_date,
-              row.end_date || null,
-              row.description || null,
-              row.ticket_url || null,
-              row.price_from ? parseFloat(row.price_from) : null,
-              row.schedule || null,
-              row.lottery_url || null,
-              row.lottery_price ? parseFloat(row.lottery_price) : null,
-              row.rush_url || null,
-              row.rush_price ? parseFloat(row.rush_price) : null,
-              runId
-            ).run();
-            inserted++;
-          }
-        } catch (err) {
-          errors.push({ row: row.title, error: err.message });
-        }
-      }
+// Fields compared when previewing an import against the stored run
+const IMPORT_DIFF_FIELDS = [
+  'title', 'production_slug', 'venue_name', 'venue_address', 'type', 'start_date', 'end_date',
+  'description', 'ticket_url', 'price_from', 'schedule', 'lottery_url', 'lottery_price', 'rush_url', 'rush_price',
+  'running_time_minutes', 'interval_count',
+];
+
+// Schedules compare by content, so key order and whitespace don't count as changes
+function canonicalSchedule(value) {
+  const schedule = parseSchedule(value);
+  if (!schedule) return value || null;
+  const days = SCHEDULE_DAYS.filter(day => schedule[day]);
+  if (!days.length) return null;
+  return JSON.stringify(Object.fromEntries(days.map(day => [day, { m: schedule[day].m ?? null, e: schedule[day].e ?? null }])));
+}
 
-      return new Response(JSON.stringify({ inserted, updated, errors }), { headers });
-    }
+function importFieldValue(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (field === 'schedule') return canonicalSchedule(value);
+  if (field.endsWith('_price') || field === 'price_from') return Number(value);
+  return value;
+}
 
-    // POST /admin/api/delete-all - Delete all records (requires password confirmation)
-    if (url.pathname === '/admin/api/delete-all' && request.method === 'POST') {
-      const { password } = await request.json();
+// Work out what importing `records` would do without writing anything. Each row
+// is classified as insert, update, unchanged or error; updates list the fields
+// that would change. Rows are numbered as in the file (the header is row 1), and
+// when `selected` is given only those record indexes are planned.
+async function planImport(env, records, selected = null) {
+  const venues = await listVenues(env);
+  const productions = await listProductions(env);
+  const { results } = await env.DB.prepare(ADMIN_RUN_SELECT).all();
+  const existingByRunId = new Map(results.map(r => [r.run_id, r]));
+  const seen = new Map();
+  const rows = [];
+
+  for (const [index, record] of records.entries()) {
+    if (selected && !selected.has(index)) continue;
+    const line = index + 2;
+    const { values, errors } = validateMusical(record);
+    if (Object.keys(errors).length) {
+      const title = record && record.title ? String(record.title) : `Row ${line}`;
+      rows.push({ index, line, action: 'error', title, error: describeErrors(errors), errors });
+      continue;
+    }
+
+    const venue = matchVenue(values, venues);
+    if (values.venue_id && !venue) {
+      const errors = { venue_id: 'Unknown venue' };
+      rows.push({ index, line, action: 'error', title: values.title, error: describeErrors(errors), errors });
+      continue;
+    }
+    const venueFields = runVenueFields(values, venue);
+    const production = matchProduction(values, productions);
+    const runId = values.run_id || generateRunId(values.title, venueFields.venue_name, values.start_date);
+    const row = {
+      index, line, run_id: runId, title: values.title, venue_name: venueFields.venue_name, start_date: values.start_date,
+      new_venue: !venue, new_production: !production,
+    };
+
+    if (seen.has(runId)) {
+      rows.push({ ...row, action: 'error', error: `Same run as row ${seen.get(runId)}` });
+      continue;
+    }
+    seen.set(runId, line);
+
+    const existing = existingByRunId.get(runId);
+    if (!existing) {
+      rows.push({ ...row, action: 'insert', values });
+      continue;
+    }
+
+    const next = {
+      ...values,
+      ...venueFields,
+      production_slug: production ? production.slug : slugify(values.production_slug || values.title),
+    };
+    const changes = IMPORT_DIFF_FIELDS
+      .map(field => ({ field, from: importFieldValue(field, existing[field]), to: importFieldValue(field, next[field]) }))
+      .filter(change => change.from !== change.to);
+    // Importing a run that is in the Trash brings it back
+    if (existing.deleted_at) changes.push({ field: 'deleted_at', from: existing.deleted_at, to: null });
+    rows.push({ ...row, id: existing.id, action: changes.length ? 'update' : 'unchanged', changes, values });
+  }
 
-      // Verify password matches
-      if (password !== env.ADMIN_PASSWORD) {
-        return new Response(JSON.stringify({ error: 'Invalid password' }), { status: 401, headers });
-      }
+  return rows;
+}
 
-      const { meta } = await env.DB.prepare('DELETE FROM musicals').run();
-      return new Response(JSON.stringify({ deleted: meta.changes }), { headers });
-    }
+function countImportActions(rows) {
+  const counts = { insert: 0, update: 0, unchanged: 0, error: 0 };
+  for (const row of rows) counts[row.action]++;
+  return counts;
+}
 
-    // POST /admin/api/migrate-run-ids - One-time migration to populate run_ids
-    if (url.pathname === '/admin/api/migrate-run-ids' && request.method === 'POST') {
-      const { results } = await env.DB.prepare('SELECT id, title, venue_name, start_date FROM musicals WHERE run_id IS NULL').all();
-      let migrated = 0;
+// Parse and check an import request body: { records, selected?, skip_invalid? } where
+// selected lists the record indexes to import (all when omitted)
+function parseImportBody(body) {
+  const records = body && body.records;
+  if (!Array.isArray(records)) return { error: 'records must be an array' };
+  const skipInvalid = body.skip_invalid === true;
+  if (body.selected === undefined || body.selected === null) return { records, selected: null, skipInvalid };
+  if (!Array.isArray(body.selected) || !body.selected.every(i => Number.isInteger(i) && i >= 0 && i < records.length)) {
+    return { error: 'selected must be an array of record indexes' };
+  }
+  return { records, selected: new Set(body.selected), skipInvalid };
+}
 
-      for (const row of results) {
-        const runId = generateRunId(row.title, row.venue_name, row.start_date);
-        await env.DB.prepare('UPDATE musicals SET run_id = ? WHERE id = ?').bind(runId, row.id).run();
-        migrated++;
-      }
+// Free slug for a venue or production created by an import
+function claimSlug(base, existing, fallback) {
+  base = slugify(base) || fallback;
+  let slug = base;
+  for (let n = 2; existing.some(x => x.slug === slug); n++) slug = `${base}-${n}`;
+  return slug;
+}
 
-      return new Response(JSON.stringify({ migrated }), { headers });
+// Statements applying planned insert/update rows as one D1 batch, with an `import`
+// audit entry per run, so the import is all-or-nothing. Venues and productions seen
+// for the first time are created and logged in the same batch, and runs link to them by slug.
+// `venues` and `productions` are preloaded lists; rows created here are appended
+// to them without an id.
+async function buildImportStatements(env, audit, rows, venues, productions) {
+  const before = await musicalSnapshots(env, rows.filter(r => r.action === 'update').map(r => r.id));
+  const snapshotSql = await snapshotJsonSql(env, 'musical');
+  const venueSnapshotSql = await snapshotJsonSql(env, 'venue');
+  const productionSnapshotSql = await snapshotJsonSql(env, 'production');
+  const statements = [];
+
+  for (const { values: row, run_id: runId, id } of rows) {
+    let venue = matchVenue(row, venues);
+    if (!venue) {
+      venue = { id: null, slug: claimSlug(row.venue_name, venues, 'venue'), name: row.venue_name, address: row.venue_address };
+      venues.push(venue);
+      statements.push(
+        insertVenueStatement(env, venue.slug, { name: venue.name, address: venue.address }),
+        auditAfterStatement(env, audit, venueSnapshotSql, { action: 'create', entity: 'venue' }, 'r.slug = ?', venue.slug),
+      );
+    }
+    let production = matchProduction(row, productions);
+    if (!production) {
+      // A new production starts with the run's description as its synopsis
+      production = { id: null, slug: claimSlug(row.production_slug || row.title, productions, 'production'), title: row.title };
+      productions.push(production);
+      statements.push(
+        insertProductionStatement(env, production.slug, { title: row.title, synopsis: row.description }),
+        auditAfterStatement(env, audit, productionSnapshotSql, { action: 'create', entity: 'production' }, 'r.slug = ?', production.slug),
+      );
     }
+    const venueFields = runVenueFields(row, venue);
+
+    statements.push(env.DB.prepare(`
+      INSERT INTO musicals (title, production_id, venue_id, venue_name, venue_address, type, start_date, end_date, description, ticket_url, price_from, schedule, lottery_url, lottery_price, rush_url, rush_price, running_time_minutes, interval_count, run_id)
+      VALUES (?, (SELECT id FROM productions WHERE slug = ?), (SELECT id FROM venues WHERE slug = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(run_id) DO UPDATE SET
+        title = excluded.title, production_id = excluded.production_id, venue_id = excluded.venue_id,
+        venue_name = excluded.venue_name, venue_address = excluded.venue_address, type = excluded.type,
+        start_date = excluded.start_date, end_date = excluded.end_date, description = excluded.description,
+        ticket_url = excluded.ticket_url, price_from = excluded.price_from, schedule = excluded.schedule,
+        lottery_url = excluded.lottery_url, lottery_price = excluded.lottery_price,
+        rush_url = excluded.rush_url, rush_price = excluded.rush_price,
+        running_time_minutes = excluded.running_time_minutes, interval_count = excluded.interval_count,
+        deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+    `).bind(
+      row.title,
+      production.slug,
+      venue.slug,
+      venueFields.venue_name,
+      venueFields.venue_address,
+      row.type,
+      row.start_date,
+      row.end_date,
+      row.description,
+      row.ticket_url,
+      row.price_from,
+      row.schedule,
+      row.lottery_url,
+      row.lottery_price,
+      row.rush_url,
+      row.rush_price,
+      row.running_time_minutes,
+      row.interval_count,
+      runId
+    ));
+    statements.push(auditAfterStatement(env, audit, snapshotSql, {
+      action: 'import', entity: 'musical', before: before.get(id) || null,
+    }, 'r.run_id = ?', runId));
+  }
 
-    return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
+  return statements;
+}
 
-  } catch (error) {
-    return new Response(JSON.stringify({ error: error.message }), { status: 500, headers });
-  }
+// Show-times import: a markdown table like show-times.md with a
+// "Show Venue | Monday | ... | Sunday" header, one row per show. The first cell
+// is "Title Venue (running time)"; day cells hold 12-hour times ("2.30pm 7.30pm")
+// or X for no performance.
+const SHOW_TIMES_DAYS = { monday: 'mon', tuesday: 'tue', wednesday: 'wed', thursday: 'thu', friday: 'fri', saturday: 'sat', sunday: 'sun' };
+// Performances starting before this are matinees when a day has only one
+const MATINEE_BEFORE = '17:00';
+const SHOW_TIMES_MATCH_THRESHOLD = 0.6;
+// Words too common in titles and venue names to help tell runs apart
+const MATCH_STOPWORDS = new Set(['the', 'a', 'an', 'and', 'of', 'theatre', 'theater', 'musical']);
+
+function markdownCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|')
+    .map(cell => cell.replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1').trim());
 }
 
-// Public API handlers
-async function handleAPI(request, env, url) {
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
+// "2.30pm" -> "14:30"
+function twelveHourTime(hour, minutes, meridiem) {
+  let h = Number(hour) % 12;
+  if (meridiem.toLowerCase() === 'pm') h += 12;
+  return `${String(h).padStart(2, '0')}:${minutes || '00'}`;
+}
 
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
+// Slots for one day cell: { slot, warning } where slot is { m, e } or null
+function parseShowTimesCell(cell) {
+  const times = [...cell.matchAll(/(\d{1,2})(?:[.:](\d{2}))?\s*(am|pm)/gi)]
+    .map(([, hour, minutes, meridiem]) => twelveHourTime(hour, minutes, meridiem))
+    .sort();
+  if (!times.length) {
+    return { slot: null, warning: /^(x|-|–)?$/i.test(cell) ? null : `"${cell}" has no times` };
+  }
+  const warning = times.length > 2 ? `"${cell}" has ${times.length} performances; only two are kept` : null;
+  if (times.length === 1) {
+    return { slot: times[0] < MATINEE_BEFORE ? { m: times[0], e: null } : { m: null, e: times[0] }, warning };
   }
+  return { slot: { m: times[0], e: times[times.length - 1] }, warning };
+}
 
-  try {
-    if (url.pathname === '/api/musicals' && request.method === 'GET') {
-      const today = new Date().toISOString().split('T')[0];
-      const type = url.searchParams.get('type');
+// Parse the table into rows of { line, label, running_time, running_time_minutes,
+// interval_count, schedule, warnings }. The running time is the bracketed part of
+// the label. Separator rows and repeated header rows are skipped.
+function parseShowTimesTable(markdown) {
+  const rows = [];
+  let days = null;
+
+  for (const [i, text] of markdown.split(/\r?\n/).entries()) {
+    if (!text.trim().startsWith('|')) continue;
+    const cells = markdownCells(text);
+    const header = cells.slice(1).map(cell => SHOW_TIMES_DAYS[cell.toLowerCase()]);
+    if (header.length && header.every(Boolean)) {
+      days = header;
+      continue;
+    }
+    if (!days || cells.every(cell => /^:?-*:?$/.test(cell)) || !cells[0]) continue;
+
+    const [, label, runningTime] = cells[0].match(/^(.*?)\s*(?:\(([^()]*)\))?\s*$/);
+    const schedule = {};
+    const warnings = [];
+    days.forEach((day, idx) => {
+      const { slot, warning } = parseShowTimesCell(cells[idx + 1] || '');
+      if (slot) schedule[day] = slot;
+      if (warning) warnings.push(`${day}: ${warning}`);
+    });
+    const duration = runningTime ? parseRunningTime(runningTime) : null;
+    if (runningTime && !duration) warnings.push(`"${runningTime}" is not a running time`);
+    rows.push({
+      line: i + 1,
+      label,
+      running_time: runningTime || null,
+      running_time_minutes: duration && duration.minutes <= MAX_RUNNING_TIME_MINUTES ? duration.minutes : null,
+      interval_count: duration && duration.intervals !== null && duration.intervals <= MAX_INTERVALS ? duration.intervals : null,
+      schedule,
+      warnings,
+    });
+  }
 
-      let query = `SELECT * FROM musicals WHERE start_date <= ? AND (end_date IS NULL OR end_date >= ?)`;
-      const params = [today, today];
+  return rows;
+}
 
-      if (type && ['West End', 'Off West End', 'Drama School'].includes(type)) {
-        query += ` AND type = ?`;
-        params.push(type);
-      }
-      query += ` ORDER BY type, title`;
+function matchTokens(text) {
+  const words = slugify((text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[’‘]/g, '')).split('-');
+  return new Set(words.filter(word => word && !MATCH_STOPWORDS.has(word)));
+}
 
-      const { results } = await env.DB.prepare(query).bind(...params).all();
-      return new Response(JSON.stringify(results), {
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      });
-    }
+// Dice coefficient between the words of a "Title Venue" label and a run's title and venue
+function matchScore(labelTokens, run) {
+  const runTokens = matchTokens(`${run.title} ${run.venue_name}`);
+  if (!labelTokens.size || !runTokens.size) return 0;
+  let shared = 0;
+  for (const token of labelTokens) if (runTokens.has(token)) shared++;
+  return (2 * shared) / (labelTokens.size + runTokens.size);
+}
 
-    if (url.pathname.match(/^\/api\/musicals\/\d+$/) && request.method === 'GET') {
-      const id = url.pathname.split('/')[3];
-      const result = await env.DB.prepare('SELECT * FROM musicals WHERE id = ?').bind(id).first();
-      if (!result) {
+// Match each parsed row against runs that haven't ended. Rows get the best
+// match (when it clears the threshold), up to three alternatives, and whether
+// applying the parsed schedule and running time would change the stored ones.
+async function previewShowTimes(env, markdown) {
+  const today = new Date().toISOString().split('T')[0];
+  const { results: runs } = await env.DB.prepare(`
+    SELECT id, title, venue_name, start_date, end_date, schedule, running_time_minutes, interval_count FROM ${LIVE_MUSICALS}
+    WHERE end_date IS NULL OR end_date >= ?
+    ORDER BY start_date DESC
+  `).bind(today).all();
+
+  return parseShowTimesTable(markdown).map(row => {
+    const tokens = matchTokens(row.label);
+    const candidates = runs
+      .map(run => ({ run, score: matchScore(tokens, run) }))
+      .filter(c => c.score > 0)
+      // Ties go to the run that has started, then the latest start
+      .sort((a, b) => b.score - a.score || (b.run.start_date <= today) - (a.run.start_date <= today))
+      .slice(0, 4)
+      .map(({ run, score }) => ({
+        id: run.id, title: run.title, venue_name: run.venue_name, start_date: run.start_date, end_date: run.end_date,
+        score: Math.round(score * 100) / 100,
+        changed: canonicalSchedule(run.schedule) !== canonicalSchedule(JSON.stringify(row.schedule))
+          || (row.running_time_minutes !== null && row.running_time_minutes !== run.running_time_minutes)
+          || (row.interval_count !== null && row.interval_count !== run.interval_count),
+      }));
+    const match = candidates[0] && candidates[0].score >= SHOW_TIMES_MATCH_THRESHOLD ? candidates[0] : null;
+    return { ...row, match_id: match ? match.id : null, candidates };
+  });
+}
+
+// Checks a run create or update (`id` of the run being updated) before any venue or
+// production is created for it: a venue given by id must exist, and the run_id must
+// not belong to another run. Returns { runId } or { status, error, errors, id }.
+async function checkRunWrite(env, data, venues, id = null) {
+  const venue = matchVenue(data, venues);
+  if (data.venue_id && !venue) {
+    const errors = { venue_id: 'Unknown venue' };
+    return { status: 400, error: `Validation failed: ${describeErrors(errors)}`, errors };
+  }
+  const runId = generateRunId(data.title, runVenueFields(data, venue).venue_name, data.start_date);
+  const existing = await env.DB.prepare('SELECT id, deleted_at FROM musicals WHERE run_id = ? AND id IS NOT ?')
+    .bind(runId, id === null ? null : Number(id)).first();
+  if (existing) {
+    const error = existing.deleted_at
+      ? 'This run is in the Trash; restore it from there instead'
+      : 'A run with this title, venue and start date already exists';
+    return { status: 409, error, errors: { run_id: error }, id: existing.id };
+  }
+  return { runId };
+}
+
+// 400 response for a record that failed validateMusical. error summarises the
+// problems for simple clients; errors maps each field to its message.
+function validationErrorResponse(errors, headers) {
+  return new Response(JSON.stringify({ error: `Validation failed: ${describeErrors(errors)}`, errors }), {
+    status: 400,
+    headers,
+  });
+}
+
+// Audit log. Every admin write records one entry per changed row with the row
+// before and after, so a record's history can be shown and replayed.
+const AUDIT_TABLES = { musical: 'musicals', venue: 'venues', production: 'productions' };
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'import', 'delete_all'];
+const DEFAULT_AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+// Who is writing and through which route; shared by every entry of one request
+function auditContext(request, url) {
+  const [username] = basicAuthCredentials(request) || [];
+  return { batchId: crypto.randomUUID(), actor: username || 'unknown', route: `${request.method} ${url.pathname}` };
+}
+
+// UTC "YYYY-MM-DD HH:MM:SS", the format of CURRENT_TIMESTAMP
+function sqlTimestamp(date = new Date()) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Stored runs with their performance exceptions, keyed by id (all runs when ids is null)
+async function musicalSnapshots(env, ids = null) {
+  const filter = ids ? 'WHERE id IN (SELECT value FROM json_each(?))' : '';
+  const params = ids ? [JSON.stringify(ids.map(Number))] : [];
+  const { results: rows } = await env.DB.prepare(`SELECT * FROM musicals ${filter} ORDER BY id`).bind(...params).all();
+  const { results: exceptions } = await env.DB.prepare(`
+    SELECT musical_id, date, slot, change_type, time, note FROM performance_exceptions
+    ${filter.replace('id IN', 'musical_id IN')} ORDER BY date, slot
+  `).bind(...params).all();
+
+  const snapshots = new Map(rows.map(row => [row.id, { ...row, exceptions: [] }]));
+  for (const { musical_id, ...exception } of exceptions) {
+    if (snapshots.has(musical_id)) snapshots.get(musical_id).exceptions.push(exception);
+  }
+  return snapshots;
+}
+
+// A single row as the audit log stores it, or null when it doesn't exist
+async function rowSnapshot(env, entity, id) {
+  if (entity === 'musical') return (await musicalSnapshots(env, [id])).get(Number(id)) || null;
+  return env.DB.prepare(`SELECT * FROM ${AUDIT_TABLES[entity]} WHERE id = ?`).bind(id).first();
+}
+
+// entry: { action, entity, id, before, after }
+function auditStatement(env, audit, entry) {
+  return env.DB.prepare(`
+    INSERT INTO audit_log (batch_id, actor, route, action, entity, entity_id, before_json, after_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    audit.batchId,
+    audit.actor,
+    audit.route,
+    entry.action,
+    entry.entity,
+    Number(entry.id),
+    entry.before ? JSON.stringify(entry.before) : null,
+    entry.after ? JSON.stringify(entry.after) : null
+  );
+}
+
+// SQL building an entity's audit snapshot as JSON from its row aliased `r` (plus
+// exceptions for runs), matching rowSnapshot, for entries written with the change
+async function snapshotJsonSql(env, entity) {
+  const { results } = await env.DB.prepare(`PRAGMA table_info(${AUDIT_TABLES[entity]})`).all();
+  const fields = results.map(col => `'${col.name}', r.${col.name}`);
+  if (entity === 'musical') {
+    fields.push(`'exceptions', json((
+      SELECT json_group_array(json_object('date', date, 'slot', slot, 'change_type', change_type, 'time', time, 'note', note))
+      FROM (SELECT * FROM performance_exceptions WHERE musical_id = r.id ORDER BY date, slot)
+    ))`);
+  }
+  return `json_object(${fields.join(', ')})`;
+}
+
+// Audit statement that reads the after snapshot (snapshotJsonSql) of the rows matching
+// `where`, so it can follow the change in the same batch even when the new id,
+// defaults and timestamps aren't known yet. entry: { action, entity, before }
+function auditAfterStatement(env, audit, snapshotSql, entry, where, ...params) {
+  return env.DB.prepare(`
+    INSERT INTO audit_log (batch_id, actor, route, action, entity, entity_id, before_json, after_json)
+    SELECT ?, ?, ?, ?, ?, r.id, ?, ${snapshotSql} FROM ${AUDIT_TABLES[entry.entity]} r WHERE ${where}
+  `).bind(
+    audit.batchId,
+    audit.actor,
+    audit.route,
+    entry.action,
+    entry.entity,
+    entry.before ? JSON.stringify(entry.before) : null,
+    ...params
+  );
+}
+
+// Remove runs (snapshots from musicalSnapshots) for good, logging each one
+function purgeStatements(env, audit, runs) {
+  return runs.flatMap(run => [
+    auditStatement(env, audit, { action: 'delete', entity: 'musical', id: run.id, before: run }),
+    env.DB.prepare('DELETE FROM performance_exceptions WHERE musical_id = ?').bind(run.id),
+    env.DB.prepare('DELETE FROM musicals WHERE id = ?').bind(run.id),
+  ]);
+}
+
+// Fields that differ between two snapshots; updated_at is left out as every write touches it
+function auditChanges(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('updated_at');
+  const changes = [];
+  for (const field of fields) {
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+// Parse GET /admin/api/audit query parameters. Returns { where, params, limit } or { error }.
+function parseAuditQuery(searchParams) {
+  const conditions = [];
+  const params = [];
+
+  const entity = searchParams.get('entity');
+  if (entity) {
+    if (!AUDIT_TABLES[entity]) return { error: `entity must be one of: ${Object.keys(AUDIT_TABLES).join(', ')}` };
+    conditions.push('entity = ?');
+    params.push(entity);
+  }
+
+  const id = searchParams.get('id');
+  if (id) {
+    if (!/^\d+$/.test(id)) return { error: 'id must be a record id' };
+    conditions.push('entity_id = ?');
+    params.push(Number(id));
+  }
+
+  const action = searchParams.get('action');
+  if (action) {
+    if (!AUDIT_ACTIONS.includes(action)) return { error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` };
+    conditions.push('action = ?');
+    params.push(action);
+  }
+
+  for (const [param, column] of [['actor', 'actor'], ['batch', 'batch_id']]) {
+    const value = searchParams.get(param);
+    if (value) {
+      conditions.push(`${column} = ?`);
+      params.push(value);
+    }
+  }
+
+  const route = searchParams.get('route');
+  if (route) {
+    conditions.push("route LIKE ? ESCAPE '\\'");
+    params.push(`%${route.replace(/[\\%_]/g, c => '\\' + c)}%`);
+  }
+
+  // created_at is stored as UTC "YYYY-MM-DD HH:MM:SS"; to includes the whole day
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+    return { error: 'from and to must be YYYY-MM-DD dates' };
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('created_at < ?');
+    params.push(addDays(to, 1));
+  }
+
+  const before = searchParams.get('before');
+  if (before) {
+    if (!/^\d+$/.test(before)) return { error: 'before must be an audit entry id' };
+    conditions.push('id < ?');
+    params.push(Number(before));
+  }
+
+  const limitParam = searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_AUDIT_PAGE_SIZE : parseInt(limitParam);
+  if (!(limit >= 1 && limit <= MAX_AUDIT_PAGE_SIZE)) {
+    return { error: `limit must be between 1 and ${MAX_AUDIT_PAGE_SIZE}` };
+  }
+
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params, limit };
+}
+
+// Restores rebuild runs from the audit log. A request body picks the target state:
+//   { audit_id } - one run as it was after that entry
+//   { batch_id } - the runs, venues and productions a request changed, as they were before it (undo)
+//   { at }       - every run as it was at that time (UTC unless an offset is given)
+// Returns { auditId } | { batchId } | { at: "YYYY-MM-DD HH:MM:SS" } or { error }.
+function parseRestoreBody(body) {
+  if (!body || typeof body !== 'object') return { error: 'Expected a JSON object' };
+  if (body.audit_id !== undefined) {
+    return Number.isInteger(body.audit_id) ? { auditId: body.audit_id } : { error: 'audit_id must be an audit entry id' };
+  }
+  if (body.batch_id !== undefined) {
+    return typeof body.batch_id === 'string' && body.batch_id ? { batchId: body.batch_id } : { error: 'batch_id must be a string' };
+  }
+  if (body.at !== undefined) {
+    const match = String(body.at).trim().match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2})?(?:\.\d+)?(Z|[+-]\d{2}:\d{2})?$/);
+    const date = match ? new Date(`${match[1]}T${match[2]}${match[3] || ':00'}${match[4] || 'Z'}`) : null;
+    if (!date || isNaN(date)) return { error: 'at must be a date and time, e.g. 2026-10-18 14:30' };
+    return { at: sqlTimestamp(date) };
+  }
+  return { error: 'Give audit_id, batch_id or at' };
+}
+
+// Target snapshot for each affected record (null where it shouldn't exist), keyed
+// "entity:id", plus the keys of records changed again after an undone batch.
+// Returns { targets: Map<key, { entity, id, snapshot }>, later } or { error, status }.
+async function restoreTargets(env, restore) {
+  const targets = new Map();
+  const setTarget = (entity, id, json) => {
+    if (!targets.has(`${entity}:${id}`)) targets.set(`${entity}:${id}`, { entity, id, snapshot: json ? JSON.parse(json) : null });
+  };
+  let later = new Set();
+
+  if (restore.auditId) {
+    const entry = await env.DB.prepare('SELECT * FROM audit_log WHERE id = ?').bind(restore.auditId).first();
+    if (!entry) return { error: 'Audit entry not found', status: 404 };
+    if (entry.entity !== 'musical') return { error: 'Only runs can be restored', status: 400 };
+    if (!entry.after_json) return { error: 'That change removed the run; pick an earlier version', status: 400 };
+    setTarget('musical', entry.entity_id, entry.after_json);
+  } else if (restore.batchId) {
+    const { results } = await env.DB.prepare(
+      'SELECT id, entity, entity_id, before_json FROM audit_log WHERE batch_id = ? ORDER BY id'
+    ).bind(restore.batchId).all();
+    if (!results.length) return { error: 'No changes were recorded in that batch', status: 404 };
+    for (const entry of results) setTarget(entry.entity, entry.entity_id, entry.before_json);
+    const { results: changedSince } = await env.DB.prepare(`
+      SELECT DISTINCT entity, entity_id FROM audit_log
+      WHERE id > ? AND batch_id != ? AND entity || ':' || entity_id IN (SELECT value FROM json_each(?))
+    `).bind(results[0].id, restore.batchId, JSON.stringify([...targets.keys()])).all();
+    later = new Set(changedSince.map(r => `${r.entity}:${r.entity_id}`));
+  } else {
+    // A run's state at `at` is what its first later change started from;
+    // runs with no later change are already as they were
+    const { results } = await env.DB.prepare(`
+      SELECT entity_id, before_json FROM audit_log
+      WHERE id IN (SELECT MIN(id) FROM audit_log WHERE entity = 'musical' AND created_at > ? GROUP BY entity_id)
+    `).bind(restore.at).all();
+    for (const entry of results) setTarget('musical', entry.entity_id, entry.before_json);
+  }
+
+  return { targets, later };
+}
+
+// Run columns that reference venues and productions
+const RESTORE_LINK_COLUMNS = { venue: 'venue_id', production: 'production_id' };
+
+// Compare each target with the stored record: create, update, delete or unchanged.
+// Only fields the snapshot has are compared, as older snapshots predate newer columns.
+// Deleted runs go to the Trash, except one whose run_id a restored run takes back
+// (`purge`), as a run in the Trash keeps its run_id. A venue or production that
+// runs would still use, including runs in the Trash, is `kept` rather than deleted.
+async function planRestore(env, targets, later) {
+  const runTargets = [...targets.values()].filter(t => t.entity === 'musical');
+  const current = await musicalSnapshots(env, runTargets.map(t => t.id));
+  const restoredRunIds = new Set(runTargets.filter(t => t.snapshot).map(t => t.snapshot.run_id));
+  const rows = runTargets.map(({ id, snapshot }) => {
+    // Snapshots taken before soft delete have no deleted_at; they were all live runs
+    const target = snapshot && { deleted_at: null, ...snapshot };
+    const stored = current.get(id) || null;
+    const purge = !!stored && !target && restoredRunIds.has(stored.run_id);
+    const changes = stored && target ? auditChanges(stored, target).filter(c => c.field in target) : [];
+    let action = 'unchanged';
+    if (!stored && target) action = 'create';
+    else if (stored && !target && (purge || !stored.deleted_at)) action = 'delete';
+    else if (changes.length) action = 'update';
+    const run = target || stored || {};
+    return {
+      entity: 'musical', id, title: run.title, venue_name: run.venue_name, start_date: run.start_date,
+      action, changes, later_changes: later.has(`musical:${id}`), purge, stored, target,
+    };
+  });
+
+  for (const [entity, column] of Object.entries(RESTORE_LINK_COLUMNS)) {
+    const linkTargets = [...targets.values()].filter(t => t.entity === entity);
+    if (!linkTargets.length) continue;
+    const ids = JSON.stringify(linkTargets.map(t => t.id));
+    const { results: stored } = await env.DB.prepare(`SELECT * FROM ${AUDIT_TABLES[entity]} WHERE id IN (SELECT value FROM json_each(?))`)
+      .bind(ids).all();
+    const storedById = new Map(stored.map(row => [row.id, row]));
+
+    // Runs using each record once the restore's run rows are written
+    const { results: linkedRuns } = await env.DB.prepare(`SELECT id, ${column} FROM musicals WHERE ${column} IN (SELECT value FROM json_each(?))`)
+      .bind(ids).all();
+    const runRows = new Map(rows.map(row => [row.id, row]));
+    const usage = new Map();
+    const use = linkId => linkId && usage.set(linkId, (usage.get(linkId) || 0) + 1);
+    for (const run of linkedRuns) if (!runRows.has(run.id)) use(run[column]);
+    for (const row of rows) {
+      if (!row.purge) use((row.target || row.stored || {})[column]);
+    }
+
+    for (const { id, snapshot: target } of linkTargets) {
+      const before = storedById.get(id) || null;
+      const changes = before && target ? auditChanges(before, target).filter(c => c.field in target) : [];
+      const kept = !!before && !target && usage.has(id);
+      let action = 'unchanged';
+      if (!before && target) action = 'create';
+      else if (before && !target && !kept) action = 'delete';
+      else if (changes.length) action = 'update';
+      const record = target || before || {};
+      rows.push({
+        entity, id, title: record.name || record.title, action, changes,
+        later_changes: later.has(`${entity}:${id}`), kept, runs: usage.get(id) || 0, stored: before, target,
+      });
+    }
+  }
+
+  return rows;
+}
+
+function countRestoreActions(rows) {
+  const counts = { create: 0, update: 0, delete: 0, unchanged: 0 };
+  for (const row of rows) counts[row.action]++;
+  return counts;
+}
+
+// Restore writes are ordered for the checks SQLite makes on every statement: runs
+// are deleted first and created last, so a run_id given up by one run can be taken
+// by another, and venues and productions are written before the runs that use them
+// and deleted after those runs have moved off them.
+const RESTORE_ORDER = ['musical:delete', 'link:update', 'link:create', 'musical:update', 'musical:create', 'link:delete'];
+
+function restoreStep(row) {
+  return RESTORE_ORDER.indexOf(`${row.entity === 'musical' ? 'musical' : 'link'}:${row.action}`);
+}
+
+// Statements writing each planned record back, with a run's exceptions and an audit
+// entry, so a restore can itself be undone by its batch
+async function buildRestoreStatements(env, audit, rows) {
+  const columns = {};
+  for (const entity of new Set(rows.map(row => row.entity))) {
+    const { results: tableInfo } = await env.DB.prepare(`PRAGMA table_info(${AUDIT_TABLES[entity]})`).all();
+    columns[entity] = tableInfo.map(c => c.name).filter(name => name !== 'id' && name !== 'updated_at');
+  }
+  const statements = [];
+  const ordered = rows.filter(row => row.action !== 'unchanged').sort((a, b) => restoreStep(a) - restoreStep(b));
+  const deletedAt = sqlTimestamp();
+
+  for (const row of ordered) {
+    const table = AUDIT_TABLES[row.entity];
+    if (row.purge) {
+      statements.push(...purgeStatements(env, audit, [row.stored]));
+      continue;
+    }
+    if (row.action === 'delete' && row.entity === 'musical') {
+      statements.push(
+        auditStatement(env, audit, { action: 'delete', entity: 'musical', id: row.id, before: row.stored, after: { ...row.stored, deleted_at: deletedAt } }),
+        env.DB.prepare('UPDATE musicals SET deleted_at = ? WHERE id = ?').bind(deletedAt, row.id),
+      );
+      continue;
+    }
+
+    statements.push(auditStatement(env, audit, { action: row.action, entity: row.entity, id: row.id, before: row.stored, after: row.target }));
+    if (row.action === 'delete') {
+      statements.push(env.DB.prepare(`DELETE FROM ${table} WHERE id = ?`).bind(row.id));
+      continue;
+    }
+
+    const fields = columns[row.entity].filter(name => name in row.target);
+    statements.push(env.DB.prepare(`
+      INSERT INTO ${table} (id, ${fields.join(', ')}, updated_at)
+      VALUES (?, ${fields.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET ${fields.map(name => `${name} = excluded.${name}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    `).bind(row.id, ...fields.map(name => row.target[name])));
+    if (row.entity !== 'musical') continue;
+
+    statements.push(env.DB.prepare('DELETE FROM performance_exceptions WHERE musical_id = ?').bind(row.id));
+    for (const e of row.target.exceptions || []) {
+      statements.push(env.DB.prepare(`
+        INSERT INTO performance_exceptions (musical_id, date, slot, change_type, time, note)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(row.id, e.date, e.slot, e.change_type, e.time, e.note));
+    }
+  }
+
+  return statements;
+}
+
+// Admin API handlers
+async function handleAdminAPI(request, env, url) {
+  const headers = { 'Content-Type': 'application/json' };
+  const audit = auditContext(request, url);
+
+  try {
+    // GET /admin/api/musicals - List ALL musicals (not just current)
+    if (url.pathname === '/admin/api/musicals' && request.method === 'GET') {
+      return new Response(JSON.stringify(await listAdminRuns(env)), { headers });
+    }
+
+    // POST /admin/api/musicals - Create new musical
+    if (url.pathname === '/admin/api/musicals' && request.method === 'POST') {
+      const { values: data, errors } = validateMusical(await request.json());
+      if (Object.keys(errors).length) {
+        return validationErrorResponse(errors, headers);
+      }
+      const venues = await listVenues(env);
+      const { runId, status, ...conflict } = await checkRunWrite(env, data, venues);
+      if (status) {
+        return new Response(JSON.stringify(conflict), { status, headers });
+      }
+      const venue = await resolveVenue(env, data, venues, audit);
+      const production = await resolveProduction(env, data, await listProductions(env), audit);
+
+      const snapshotSql = await snapshotJsonSql(env, 'musical');
+      await env.DB.batch([
+        env.DB.prepare(`
+          INSERT INTO musicals (title, production_id, venue_id, venue_name, venue_address, type, start_date, end_date, description, ticket_url, price_from, schedule, lottery_url, lottery_price, rush_url, rush_price, running_time_minutes, interval_count, run_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          data.title,
+          production ? production.id : null,
+          venue.venue_id,
+          venue.venue_name,
+          venue.venue_address,
+          data.type,
+          data.start_date,
+          data.end_date,
+          data.description,
+          data.ticket_url,
+          data.price_from,
+          data.schedule,
+          data.lottery_url,
+          data.lottery_price,
+          data.rush_url,
+          data.rush_price,
+          data.running_time_minutes,
+          data.interval_count,
+          runId
+        ),
+        ...exceptionStatements(env, runId, data.exceptions || []),
+        auditAfterStatement(env, audit, snapshotSql, { action: 'create', entity: 'musical' }, 'r.run_id = ?', runId),
+      ]);
+
+      const newMusical = await env.DB.prepare(`${ADMIN_RUN_SELECT} WHERE m.run_id = ?`).bind(runId).first();
+
+      return new Response(JSON.stringify(newMusical), { status: 201, headers });
+    }
+
+    // PUT /admin/api/musicals/:id - Update musical
+    if (url.pathname.match(/^\/admin\/api\/musicals\/\d+$/) && request.method === 'PUT') {
+      const id = url.pathname.split('/')[4];
+      const { values: data, errors } = validateMusical(await request.json());
+      if (Object.keys(errors).length) {
+        return validationErrorResponse(errors, headers);
+      }
+      const before = await rowSnapshot(env, 'musical', id);
+      if (!before || before.deleted_at) {
+        return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
+      }
+      const venues = await listVenues(env);
+      const { runId, status, ...conflict } = await checkRunWrite(env, data, venues, id);
+      if (status) {
+        return new Response(JSON.stringify(conflict), { status, headers });
+      }
+      const venue = await resolveVenue(env, data, venues, audit);
+      const production = await resolveProduction(env, data, await listProductions(env), audit);
+
+      const snapshotSql = await snapshotJsonSql(env, 'musical');
+      await env.DB.batch([
+        env.DB.prepare(`
+          UPDATE musicals SET
+            title = ?, production_id = ?, venue_id = ?, venue_name = ?, venue_address = ?, type = ?,
+            start_date = ?, end_date = ?, description = ?,
+            ticket_url = ?, price_from = ?, schedule = ?,
+            lottery_url = ?, lottery_price = ?, rush_url = ?, rush_price = ?,
+            running_time_minutes = ?, interval_count = ?,
+            run_id = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(
+          data.title,
+          production ? production.id : null,
+          venue.venue_id,
+          venue.venue_name,
+          venue.venue_address,
+          data.type,
+          data.start_date,
+          data.end_date,
+          data.description,
+          data.ticket_url,
+          data.price_from,
+          data.schedule,
+          data.lottery_url,
+          data.lottery_price,
+          data.rush_url,
+          data.rush_price,
+          data.running_time_minutes,
+          data.interval_count,
+          runId,
+          id
+        ),
+        // Exceptions are only replaced when the request includes them
+        ...(data.exceptions ? exceptionStatements(env, runId, data.exceptions) : []),
+        auditAfterStatement(env, audit, snapshotSql, { action: 'update', entity: 'musical', before }, 'r.id = ?', id),
+      ]);
+
+      const updated = await env.DB.prepare(`${ADMIN_RUN_SELECT} WHERE m.id = ?`).bind(id).first();
+      return new Response(JSON.stringify(updated), { headers });
+    }
+
+    // GET /admin/api/musicals/:id/exceptions - Schedule exceptions for a run
+    if (url.pathname.match(/^\/admin\/api\/musicals\/\d+\/exceptions$/) && request.method === 'GET') {
+      const id = url.pathname.split('/')[4];
+      const { results } = await env.DB.prepare(
+        'SELECT * FROM performance_exceptions WHERE musical_id = ? ORDER BY date, slot'
+      ).bind(id).all();
+      return new Response(JSON.stringify(results), { headers });
+    }
+
+    // DELETE /admin/api/musicals/:id - Move musical to the Trash
+    if (url.pathname.match(/^\/admin\/api\/musicals\/\d+$/) && request.method === 'DELETE') {
+      const id = url.pathname.split('/')[4];
+      const before = await rowSnapshot(env, 'musical', id);
+      if (!before || before.deleted_at) {
+        return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
+      }
+      const deletedAt = sqlTimestamp();
+      await env.DB.batch([
+        auditStatement(env, audit, { action: 'delete', entity: 'musical', id, before, after: { ...before, deleted_at: deletedAt } }),
+        env.DB.prepare('UPDATE musicals SET deleted_at = ? WHERE id = ?').bind(deletedAt, id),
+      ]);
+      return new Response(JSON.stringify({ success: true }), { headers });
+    }
+
+    // POST /admin/api/musicals/import/preview - Dry run: classify each row and diff it against the stored run
+    if (url.pathname === '/admin/api/musicals/import/preview' && request.method === 'POST') {
+      const { records, selected, error } = parseImportBody(await request.json());
+      if (error) {
+        return new Response(JSON.stringify({ error }), { status: 400, headers });
+      }
+      const rows = (await planImport(env, records, selected)).map(({ values, ...row }) => row);
+      return new Response(JSON.stringify({ counts: countImportActions(rows), rows }), { headers });
+    }
+
+    // POST /admin/api/musicals/import - Bulk upsert from CSV data in a single transaction.
+    // Any invalid row rejects the whole import unless skip_invalid is set; unchanged rows are left alone
+    if (url.pathname === '/admin/api/musicals/import' && request.method === 'POST') {
+      const startedAt = Date.now();
+      const { records, selected, skipInvalid, error } = parseImportBody(await request.json());
+      if (error) {
+        return new Response(JSON.stringify({ error }), { status: 400, headers });
+      }
+      const rows = await planImport(env, records, selected);
+      const counts = countImportActions(rows);
+      const errors = rows.filter(r => r.action === 'error')
+        .map(r => ({ row: r.title, line: r.line, error: r.error, errors: r.errors }));
+      const plannedAt = Date.now();
+      const timing = () => ({ plan_ms: plannedAt - startedAt, write_ms: Date.now() - plannedAt, total_ms: Date.now() - startedAt });
+
+      if (errors.length && !skipInvalid) {
+        return new Response(JSON.stringify({
+          error: `${errors.length} of ${rows.length} rows failed validation, so nothing was imported`,
+          inserted: 0, updated: 0, unchanged: counts.unchanged, skipped: 0, errors, timing: timing(),
+        }), { status: 400, headers });
+      }
+
+      const writes = rows.filter(r => r.action === 'insert' || r.action === 'update');
+      if (writes.length) {
+        const statements = await buildImportStatements(env, audit, writes, await listVenues(env), await listProductions(env));
+        try {
+          await env.DB.batch(statements);
+        } catch (err) {
+          return new Response(JSON.stringify({
+            error: `Import rolled back, nothing was saved: ${err.message}`, timing: timing(),
+          }), { status: 500, headers });
+        }
+      }
+
+      return new Response(JSON.stringify({
+        inserted: counts.insert,
+        updated: counts.update,
+        unchanged: counts.unchanged,
+        skipped: errors.length,
+        errors,
+        timing: timing(),
+      }), { headers });
+    }
+
+    // POST /admin/api/schedules/preview - Parse a show-times markdown table and match rows to runs
+    if (url.pathname === '/admin/api/schedules/preview' && request.method === 'POST') {
+      const { markdown } = await request.json();
+      if (typeof markdown !== 'string' || !markdown.trim()) {
+        return new Response(JSON.stringify({ error: 'markdown is required' }), { status: 400, headers });
+      }
+      const rows = await previewShowTimes(env, markdown);
+      if (!rows.length) {
+        return new Response(JSON.stringify({ error: 'No table rows found. Expected a "Show Venue | Monday | ... | Sunday" header.' }), { status: 400, headers });
+      }
+      return new Response(JSON.stringify({ rows }), { headers });
+    }
+
+    // POST /admin/api/schedules/apply - Set the weekly schedule of matched runs, and
+    // their running time and intervals when given (null leaves them unchanged).
+    // Runs in the Trash are left alone and counted as skipped
+    if (url.pathname === '/admin/api/schedules/apply' && request.method === 'POST') {
+      const { updates } = await request.json();
+      if (!Array.isArray(updates) || !updates.length) {
+        return new Response(JSON.stringify({ error: 'updates must be a non-empty array' }), { status: 400, headers });
+      }
+      const before = await musicalSnapshots(env, updates.map(update => update && update.id).filter(Number.isInteger));
+      const snapshotSql = await snapshotJsonSql(env, 'musical');
+      const statements = [];
+      for (const [i, update] of updates.entries()) {
+        const { schedule, error } = validateSchedule(update && update.schedule);
+        if (!Number.isInteger(update && update.id) || error) {
+          return new Response(JSON.stringify({ error: `Update ${i + 1}: ${error || 'id must be a musical id'}` }), { status: 400, headers });
+        }
+        const minutes = update.running_time_minutes ?? null;
+        const intervals = update.interval_count ?? null;
+        if (minutes !== null && !(Number.isInteger(minutes) && minutes > 0 && minutes <= MAX_RUNNING_TIME_MINUTES)) {
+          return new Response(JSON.stringify({ error: `Update ${i + 1}: running_time_minutes must be between 1 and ${MAX_RUNNING_TIME_MINUTES}` }), { status: 400, headers });
+        }
+        if (intervals !== null && !(Number.isInteger(intervals) && intervals >= 0 && intervals <= MAX_INTERVALS)) {
+          return new Response(JSON.stringify({ error: `Update ${i + 1}: interval_count must be from 0 to ${MAX_INTERVALS}` }), { status: 400, headers });
+        }
+        statements.push(env.DB.prepare(`
+          UPDATE musicals SET schedule = ?,
+            running_time_minutes = COALESCE(?, running_time_minutes), interval_count = COALESCE(?, interval_count),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND deleted_at IS NULL
+        `).bind(schedule, minutes, intervals, update.id));
+        statements.push(auditAfterStatement(env, audit, snapshotSql, {
+          action: 'update', entity: 'musical', before: before.get(update.id),
+        }, 'r.id = ? AND r.deleted_at IS NULL', update.id));
+      }
+      const results = await env.DB.batch(statements);
+      // Results alternate between the update and its audit entry
+      const updated = results.filter((r, i) => i % 2 === 0).reduce((sum, r) => sum + r.meta.changes, 0);
+      return new Response(JSON.stringify({ updated, skipped: updates.length - updated }), { headers });
+    }
+
+    // POST /admin/api/delete-all - Move all runs to the Trash (requires password confirmation)
+    if (url.pathname === '/admin/api/delete-all' && request.method === 'POST') {
+      const { password } = await request.json();
+
+      // Verify password matches
+      if (password !== env.ADMIN_PASSWORD) {
+        return new Response(JSON.stringify({ error: 'Invalid password' }), { status: 401, headers });
+      }
+
+      // Each run is logged in the same transaction that trashes it
+      const live = [...(await musicalSnapshots(env)).values()].filter(row => !row.deleted_at);
+      const deletedAt = sqlTimestamp();
+      const results = await env.DB.batch([
+        ...live.map(row => auditStatement(env, audit, {
+          action: 'delete_all', entity: 'musical', id: row.id, before: row, after: { ...row, deleted_at: deletedAt },
+        })),
+        env.DB.prepare('UPDATE musicals SET deleted_at = ? WHERE deleted_at IS NULL').bind(deletedAt),
+      ]);
+      return new Response(JSON.stringify({ deleted: results[results.length - 1].meta.changes }), { headers });
+    }
+
+    // GET /admin/api/trash - Runs in the Trash, most recently deleted first
+    if (url.pathname === '/admin/api/trash' && request.method === 'GET') {
+      const { results } = await env.DB.prepare(`${ADMIN_RUN_SELECT} WHERE m.deleted_at IS NOT NULL ORDER BY m.deleted_at DESC, m.id DESC`).all();
+      return new Response(JSON.stringify({ retention_days: TRASH_RETENTION_DAYS, runs: results }), { headers });
+    }
+
+    // POST /admin/api/trash/:id/restore - Take a run out of the Trash
+    if (url.pathname.match(/^\/admin\/api\/trash\/\d+\/restore$/) && request.method === 'POST') {
+      const id = url.pathname.split('/')[4];
+      const before = await rowSnapshot(env, 'musical', id);
+      if (!before || !before.deleted_at) {
+        return new Response(JSON.stringify({ error: 'Not in the Trash' }), { status: 404, headers });
+      }
+      await env.DB.batch([
+        auditStatement(env, audit, { action: 'update', entity: 'musical', id, before, after: { ...before, deleted_at: null } }),
+        env.DB.prepare('UPDATE musicals SET deleted_at = NULL WHERE id = ?').bind(id),
+      ]);
+      const restored = await env.DB.prepare(`${ADMIN_RUN_SELECT} WHERE m.id = ?`).bind(id).first();
+      return new Response(JSON.stringify(restored), { headers });
+    }
+
+    // DELETE /admin/api/trash/:id - Permanently delete one run from the Trash
+    if (url.pathname.match(/^\/admin\/api\/trash\/\d+$/) && request.method === 'DELETE') {
+      const id = url.pathname.split('/')[4];
+      const before = await rowSnapshot(env, 'musical', id);
+      if (!before || !before.deleted_at) {
+        return new Response(JSON.stringify({ error: 'Not in the Trash' }), { status: 404, headers });
+      }
+      await env.DB.batch(purgeStatements(env, audit, [before]));
+      return new Response(JSON.stringify({ success: true }), { headers });
+    }
+
+    // DELETE /admin/api/trash - Empty the Trash
+    if (url.pathname === '/admin/api/trash' && request.method === 'DELETE') {
+      const trashed = [...(await musicalSnapshots(env)).values()].filter(row => row.deleted_at);
+      if (trashed.length) await env.DB.batch(purgeStatements(env, audit, trashed));
+      return new Response(JSON.stringify({ purged: trashed.length }), { headers });
+    }
+
+    // GET /admin/api/venues - List venues with how many runs reference each
+    if (url.pathname === '/admin/api/venues' && request.method === 'GET') {
+      const { results } = await env.DB.prepare(`
+        SELECT v.*, (SELECT COUNT(*) FROM musicals WHERE venue_id = v.id) AS run_count
+        FROM venues v ORDER BY v.name
+      `).all();
+      return new Response(JSON.stringify(results), { headers });
+    }
+
+    // POST /admin/api/venues - Create venue
+    if (url.pathname === '/admin/api/venues' && request.method === 'POST') {
+      const data = await request.json();
+      if (!data.name || !data.name.trim()) {
+        return new Response(JSON.stringify({ error: 'Venue name is required' }), { status: 400, headers });
+      }
+      const venue = await createVenue(env, { ...data, name: data.name.trim() }, audit);
+      return new Response(JSON.stringify(venue), { status: 201, headers });
+    }
+
+    // PUT /admin/api/venues/:id - Update venue and the runs that reference it
+    if (url.pathname.match(/^\/admin\/api\/venues\/\d+$/) && request.method === 'PUT') {
+      const id = Number(url.pathname.split('/')[4]);
+      const data = await request.json();
+      if (!data.name || !data.name.trim()) {
+        return new Response(JSON.stringify({ error: 'Venue name is required' }), { status: 400, headers });
+      }
+      const before = await rowSnapshot(env, 'venue', id);
+      if (!before) {
+        return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
+      }
+      const venue = { name: data.name.trim(), address: data.address || null };
+      const { results: venueRuns } = await env.DB.prepare('SELECT id FROM musicals WHERE venue_id = ?').bind(id).all();
+      const runsBefore = await musicalSnapshots(env, venueRuns.map(r => r.id));
+      const venueSnapshotSql = await snapshotJsonSql(env, 'venue');
+      const runSnapshotSql = await snapshotJsonSql(env, 'musical');
+
+      await env.DB.batch([
+        env.DB.prepare(`
+          UPDATE venues SET
+            name = ?, aliases = ?, address = ?, postcode = ?,
+            latitude = ?, longitude = ?, capacity = ?, access_info = ?,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(
+          venue.name,
+          JSON.stringify(normalizeAliases(data.aliases)),
+          venue.address,
+          data.postcode || extractPostcode(data.address),
+          data.latitude ?? null,
+          data.longitude ?? null,
+          data.capacity ?? null,
+          data.access_info || null,
+          id
+        ),
+        auditAfterStatement(env, audit, venueSnapshotSql, { action: 'update', entity: 'venue', before }, 'r.id = ?', id),
+        // Renaming a venue rewrites its runs' venue fields, so those are logged too
+        ...[...runsBefore.values()].filter(run => venueRunChanged(venue, run)).flatMap(run => [
+          syncVenueRunStatement(env, venue, run),
+          auditAfterStatement(env, audit, runSnapshotSql, { action: 'update', entity: 'musical', before: run }, 'r.id = ?', run.id),
+        ]),
+      ]);
+
+      const updated = await env.DB.prepare('SELECT * FROM venues WHERE id = ?').bind(id).first();
+      return new Response(JSON.stringify(updated), { headers });
+    }
+
+    // DELETE /admin/api/venues/:id - Delete venue (only when no runs reference it)
+    if (url.pathname.match(/^\/admin\/api\/venues\/\d+$/) && request.method === 'DELETE') {
+      const id = url.pathname.split('/')[4];
+      const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM musicals WHERE venue_id = ?').bind(id).first();
+      if (count > 0) {
+        return new Response(JSON.stringify({ error: `Venue is used by ${count} runs (including any in the Trash)` }), { status: 409, headers });
+      }
+      const before = await rowSnapshot(env, 'venue', id);
+      if (!before) {
+        return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
+      }
+      await env.DB.batch([
+        auditStatement(env, audit, { action: 'delete', entity: 'venue', id, before }),
+        env.DB.prepare('DELETE FROM venues WHERE id = ?').bind(id),
+      ]);
+      return new Response(JSON.stringify({ success: true }), { headers });
+    }
+
+    // GET /admin/api/productions - List productions with how many runs each has
+    if (url.pathname === '/admin/api/productions' && request.method === 'GET') {
+      const { results } = await env.DB.prepare(`
+        SELECT p.*, (SELECT COUNT(*) FROM musicals WHERE production_id = p.id) AS run_count
+        FROM productions p ORDER BY p.title
+      `).all();
+      return new Response(JSON.stringify(results), { headers });
+    }
+
+    // POST /admin/api/productions - Create production
+    if (url.pathname === '/admin/api/productions' && request.method === 'POST') {
+      const data = await request.json();
+      if (!data.title || !data.title.trim()) {
+        return new Response(JSON.stringify({ error: 'Production title is required' }), { status: 400, headers });
+      }
+      const production = await createProduction(env, { ...data, title: data.title.trim() }, audit);
+      return new Response(JSON.stringify(production), { status: 201, headers });
+    }
+
+    // PUT /admin/api/productions/:id - Update production
+    if (url.pathname.match(/^\/admin\/api\/productions\/\d+$/) && request.method === 'PUT') {
+      const id = Number(url.pathname.split('/')[4]);
+      const data = await request.json();
+      if (!data.title || !data.title.trim()) {
+        return new Response(JSON.stringify({ error: 'Production title is required' }), { status: 400, headers });
+      }
+      const existing = await rowSnapshot(env, 'production', id);
+      if (!existing) {
+        return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
+      }
+
+      // Keep the slug stable on rename so production URLs don't break
+      const slug = data.slug && slugify(data.slug) !== existing.slug ? await uniqueProductionSlug(env, data.slug, id) : existing.slug;
+      await env.DB.batch([
+        env.DB.prepare(`
+          UPDATE productions SET
+            title = ?, slug = ?, synopsis = ?, creative_team = ?, genre = ?, image_url = ?,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(
+          data.title.trim(),
+          slug,
+          data.synopsis || null,
+          JSON.stringify(normalizeCreativeTeam(data.creative_team)),
+          data.genre || null,
+          data.image_url || null,
+          id
+        ),
+        auditAfterStatement(env, audit, await snapshotJsonSql(env, 'production'), { action: 'update', entity: 'production', before: existing }, 'r.id = ?', id),
+      ]);
+
+      const updated = await env.DB.prepare('SELECT * FROM productions WHERE id = ?').bind(id).first();
+      return new Response(JSON.stringify(updated), { headers });
+    }
+
+    // DELETE /admin/api/productions/:id - Delete production (only when it has no runs)
+    if (url.pathname.match(/^\/admin\/api\/productions\/\d+$/) && request.method === 'DELETE') {
+      const id = url.pathname.split('/')[4];
+      const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM musicals WHERE production_id = ?').bind(id).first();
+      if (count > 0) {
+        return new Response(JSON.stringify({ error: `Production has ${count} runs (including any in the Trash)` }), { status: 409, headers });
+      }
+      const before = await rowSnapshot(env, 'production', id);
+      if (!before) {
+        return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
+      }
+      await env.DB.batch([
+        auditStatement(env, audit, { action: 'delete', entity: 'production', id, before }),
+        env.DB.prepare('DELETE FROM productions WHERE id = ?').bind(id),
+      ]);
+      return new Response(JSON.stringify({ success: true }), { headers });
+    }
+
+    // GET /admin/api/audit - Audit entries, newest first, filtered by entity, id, action,
+    // actor, batch, route and date; page with before=<id of the last entry>
+    if (url.pathname === '/admin/api/audit' && request.method === 'GET') {
+      const query = parseAuditQuery(url.searchParams);
+      if (query.error) {
+        return new Response(JSON.stringify({ error: query.error }), { status: 400, headers });
+      }
+      if (!(await tableExists(env, 'audit_log'))) {
+        return new Response(JSON.stringify({ entries: [], next_before: null }), { headers });
+      }
+      const { results } = await env.DB.prepare(`SELECT * FROM audit_log ${query.where} ORDER BY id DESC LIMIT ?`)
+        .bind(...query.params, query.limit + 1).all();
+      const entries = results.slice(0, query.limit).map(({ before_json, after_json, ...entry }) => {
+        const before = before_json ? JSON.parse(before_json) : null;
+        const after = after_json ? JSON.parse(after_json) : null;
+        return { ...entry, before, after, changes: auditChanges(before, after) };
+      });
+      const nextBefore = results.length > query.limit ? entries[entries.length - 1].id : null;
+      return new Response(JSON.stringify({ entries, next_before: nextBefore }), { headers });
+    }
+
+    // GET /admin/api/audit/batches - The 20 most recent requests that wrote audit entries
+    if (url.pathname === '/admin/api/audit/batches' && request.method === 'GET') {
+      if (!(await tableExists(env, 'audit_log'))) {
+        return new Response(JSON.stringify([]), { headers });
+      }
+      const { results } = await env.DB.prepare(`
+        SELECT batch_id, actor, route, MIN(created_at) AS created_at, COUNT(*) AS entries,
+          GROUP_CONCAT(DISTINCT action) AS actions
+        FROM audit_log GROUP BY batch_id ORDER BY MIN(id) DESC LIMIT 20
+      `).all();
+      return new Response(JSON.stringify(results), { headers });
+    }
+
+    // POST /admin/api/restore/preview - What a restore would change, writes nothing
+    if (url.pathname === '/admin/api/restore/preview' && request.method === 'POST') {
+      const restore = parseRestoreBody(await request.json());
+      if (restore.error) {
+        return new Response(JSON.stringify({ error: restore.error }), { status: 400, headers });
+      }
+      const { targets, later, error, status } = await restoreTargets(env, restore);
+      if (error) {
+        return new Response(JSON.stringify({ error }), { status, headers });
+      }
+      const rows = (await planRestore(env, targets, later)).map(({ stored, target, ...row }) => row);
+      return new Response(JSON.stringify({ counts: countRestoreActions(rows), rows }), { headers });
+    }
+
+    // POST /admin/api/restore - Revert a run, undo a batch or restore runs to a time, in one transaction
+    if (url.pathname === '/admin/api/restore' && request.method === 'POST') {
+      const restore = parseRestoreBody(await request.json());
+      if (restore.error) {
+        return new Response(JSON.stringify({ error: restore.error }), { status: 400, headers });
+      }
+      const { targets, later, error, status } = await restoreTargets(env, restore);
+      if (error) {
+        return new Response(JSON.stringify({ error }), { status, headers });
+      }
+      const rows = await planRestore(env, targets, later);
+      const statements = await buildRestoreStatements(env, audit, rows);
+      if (statements.length) {
+        try {
+          await env.DB.batch(statements);
+        } catch (err) {
+          return new Response(JSON.stringify({ error: `Restore rolled back, nothing was saved: ${err.message}` }), { status: 500, headers });
+        }
+      }
+      const counts = countRestoreActions(rows);
+      return new Response(JSON.stringify({
+        created: counts.create, updated: counts.update, deleted: counts.delete, unchanged: counts.unchanged,
+      }), { headers });
+    }
+
+    // GET /admin/api/health-report - Data-quality checks over musicals
+    if (url.pathname === '/admin/api/health-report' && request.method === 'GET') {
+      return new Response(JSON.stringify(await buildHealthReport(env)), { headers });
+    }
+
+    // GET /admin/api/jobs - Daily job names and recent runs
+    if (url.pathname === '/admin/api/jobs' && request.method === 'GET') {
+      const runs = await tableExists(env, 'job_runs')
+        ? (await env.DB.prepare('SELECT * FROM job_runs ORDER BY started_at DESC, id DESC LIMIT 50').all()).results
+        : [];
+      return new Response(JSON.stringify({ jobs: DAILY_JOBS.map(job => job.name), runs }), { headers });
+    }
+
+    // POST /admin/api/jobs/run - Run the daily jobs now
+    if (url.pathname === '/admin/api/jobs/run' && request.method === 'POST') {
+      const runs = await runDailyJobs(env, 'manual');
+      return new Response(JSON.stringify({ runs }), { headers });
+    }
+
+    // GET /admin/api/migrations - Report applied and pending schema migrations
+    if (url.pathname === '/admin/api/migrations' && request.method === 'GET') {
+      const status = await getMigrationStatus(env);
+      return new Response(JSON.stringify(status), { headers });
+    }
+
+    // POST /admin/api/migrations - Apply all pending schema migrations
+    if (url.pathname === '/admin/api/migrations' && request.method === 'POST') {
+      const { applied, error } = await applyPendingMigrations(env);
+      const status = await getMigrationStatus(env);
+      return new Response(JSON.stringify({ applied, error, ...status }), { status: error ? 500 : 200, headers });
+    }
+
+    return new Response(JSON.stringify({ error: 'Not found' }), { status: 404, headers });
+
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), { status: 500, headers });
+  }
+}
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_PERFORMANCE_RANGE_DAYS = 92;
+
+function isIsoDate(str) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(str || '') && !isNaN(Date.parse(str));
+}
+
+// Add days to a YYYY-MM-DD string without timezone drift
+function addDays(dateStr, n) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + n)).toISOString().split('T')[0];
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / 86400000);
+}
+
+function parseSchedule(scheduleJson) {
+  if (!scheduleJson) return null;
+  try {
+    return typeof scheduleJson === 'string' ? JSON.parse(scheduleJson) : scheduleJson;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Performances on a date: the weekly slots with that date's exceptions applied.
+// Mirrors getDayPerformances on the public page. Each slot is null or
+// { time, change, note }; change is null for a regular performance. A `true`
+// slot from the old schedule format is a performance with no time.
+function getDayPerformances(run, dateStr, schedule) {
+  const day = (schedule && schedule[DAY_KEYS[new Date(dateStr + 'T00:00:00Z').getUTCDay()]]) || {};
+  const slots = {};
+  ['m', 'e'].forEach(slot => {
+    slots[slot] = day[slot]
+      ? { time: typeof day[slot] === 'string' ? day[slot] : null, change: null, note: null }
+      : null;
+  });
+
+  (run.exceptions || []).filter(e => e.date === dateStr).forEach(e => {
+    if (e.change_type === 'cancelled') {
+      if (slots[e.slot]) slots[e.slot] = { ...slots[e.slot], change: 'cancelled', note: e.note };
+    } else {
+      slots[e.slot] = { time: e.time, change: e.change_type, note: e.note };
+    }
+  });
+  return slots;
+}
+
+// ISO 8601 datetime for a London wall-clock date and time, e.g. 2025-07-01T19:30:00+01:00
+function londonDateTime(dateStr, time) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Find the offset London had at that instant (GMT in winter, BST in summer)
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Europe/London', hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(new Date(asUtc)).map(p => [p.type, p.value]));
+  const londonAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  const offsetMinutes = Math.round((londonAsUtc - asUtc) / 60000);
+
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  return `${dateStr}T${time}:00${offset}`;
+}
+
+// London date and time a performance ends, from its start time and running time
+function performanceEnd(dateStr, time, minutes) {
+  const [hour, minute] = time.split(':').map(Number);
+  const total = hour * 60 + minute + minutes;
+  const endMinutes = total % 1440;
+  return {
+    date: addDays(dateStr, Math.floor(total / 1440)),
+    time: `${String(Math.floor(endMinutes / 60)).padStart(2, '0')}:${String(endMinutes % 60).padStart(2, '0')}`,
+  };
+}
+
+// Expand a run's weekly schedule and exceptions into dated performances between
+// fromDate and toDate (inclusive), bounded by the run's start and end dates.
+// end and end_time are null when the run has no running time, and a performance
+// with no time (old-format schedules) has time null and its date as start
+function expandPerformances(run, fromDate, toDate, { includeCancelled = false } = {}) {
+  const schedule = parseSchedule(run.schedule);
+  const first = run.start_date > fromDate ? run.start_date : fromDate;
+  const last = run.end_date && run.end_date < toDate ? run.end_date : toDate;
+  const performances = [];
+
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    const slots = getDayPerformances(run, date, schedule);
+    for (const slot of ['m', 'e']) {
+      const perf = slots[slot];
+      if (!perf) continue;
+      if (perf.change === 'cancelled' && !includeCancelled) continue;
+      const end = run.running_time_minutes && perf.time ? performanceEnd(date, perf.time, run.running_time_minutes) : null;
+      performances.push({
+        musical_id: run.id,
+        run_id: run.run_id,
+        title: run.title,
+        type: run.type,
+        venue_name: run.venue_name,
+        venue_slug: run.venue_slug || null,
+        date,
+        slot: slot === 'm' ? 'matinee' : 'evening',
+        time: perf.time,
+        start: perf.time ? londonDateTime(date, perf.time) : date,
+        end_time: end ? end.time : null,
+        end: end ? londonDateTime(end.date, end.time) : null,
+        status: perf.change || 'scheduled',
+        note: perf.note || null,
+        ticket_url: run.ticket_url || null,
+      });
+    }
+  }
+  return performances;
+}
+
+const CALENDAR_WINDOW_DAYS = 90;
+// Used for DTEND when a run has no running time
+const DEFAULT_PERFORMANCE_MINUTES = 150;
+
+// Escape TEXT values per RFC 5545
+function icsEscape(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets
+function icsFold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length;
+    if (size + charSize > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function icsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Build a VCALENDAR with one VEVENT per performance of each run between fromDate and toDate
+function buildCalendar(name, runs, fromDate, toDate) {
+  const stamp = icsDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//London Musicals//Performances//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(name)}`,
+    'X-WR-TIMEZONE:Europe/London',
+  ];
+
+  for (const run of runs) {
+    // Cancelled performances stay in the feed so subscribers see them drop out
+    for (const perf of expandPerformances(run, fromDate, toDate, { includeCancelled: true })) {
+      // A performance with no time is an all-day event
+      const start = perf.time ? new Date(perf.start) : null;
+      const end = !start ? null : perf.end ? new Date(perf.end) : new Date(start.getTime() + DEFAULT_PERFORMANCE_MINUTES * 60000);
+      const location = [run.venue_name, run.venue_address].filter(Boolean).join(', ');
+      const description = [
+        perf.note,
+        run.type,
+        run.ticket_url ? `Tickets: ${run.ticket_url}` : null,
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${run.run_id || run.id}-${perf.date}-${perf.slot}@london-musicals`,
+        `DTSTAMP:${stamp}`,
+        start ? `DTSTART:${icsDateTime(start)}` : `DTSTART;VALUE=DATE:${perf.date.replace(/-/g, '')}`,
+        start ? `DTEND:${icsDateTime(end)}` : `DTEND;VALUE=DATE:${addDays(perf.date, 1).replace(/-/g, '')}`,
+        `SUMMARY:${icsEscape(run.title + (perf.slot === 'matinee' ? ' (Matinee)' : ''))}`,
+        `LOCATION:${icsEscape(location)}`,
+        `STATUS:${perf.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+      );
+      if (description) lines.push(`DESCRIPTION:${icsEscape(description)}`);
+      if (run.ticket_url) lines.push(`URL:${run.ticket_url}`);
+      lines.push('END:VEVENT');
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+function calendarResponse(name, filename, runs, fromDate, toDate, extraHeaders = {}) {
+  return new Response(buildCalendar(name, runs, fromDate, toDate), {
+    headers: {
+      ...extraHeaders,
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${filename}"`,
+    },
+  });
+}
+
+// GET /calendar.ics?type=&rush=1&venue= - Calendar feed for a user-selected filter
+async function handleCalendarFeed(env, url) {
+  const today = new Date().toISOString().split('T')[0];
+  const toDate = addDays(today, CALENDAR_WINDOW_DAYS - 1);
+  const type = url.searchParams.get('type');
+  const venue = url.searchParams.get('venue');
+  const rush = url.searchParams.get('rush') === '1';
+
+  let query = `${RUN_SELECT} WHERE m.start_date <= ? AND (m.end_date IS NULL OR m.end_date >= ?)`;
+  const params = [toDate, today];
+  const nameParts = [];
+  if (type && MUSICAL_TYPES.includes(type)) {
+    query += ` AND m.type = ?`;
+    params.push(type);
+    nameParts.push(type);
+  }
+  if (rush) {
+    query += ` AND (m.rush_url IS NOT NULL OR m.lottery_url IS NOT NULL)`;
+    nameParts.push('Rush & Lottery');
+  }
+  if (venue) {
+    query += ` AND v.slug = ?`;
+    params.push(venue);
+  }
+  query += ` ORDER BY m.title`;
+
+  const { results } = await env.DB.prepare(query).bind(...params).all();
+  await attachExceptions(env, results, today);
+  if (venue && results.length) nameParts.push(results[0].venue_name);
+
+  const name = ['London Musicals', ...nameParts].join(' - ');
+  return calendarResponse(name, 'london-musicals.ics', results, today, toDate);
+}
+
+// Listing filters for GET /api/musicals. Sorts are keyset-paginated on their
+// key columns plus m.id, so every key must be non-null.
+const MUSICAL_SORTS = {
+  type: { columns: ['m.type', 'm.title', 'm.id'], key: r => [r.type, r.title, r.id] },
+  title: { columns: ['m.title', 'm.id'], key: r => [r.title, r.id] },
+  start_date: { columns: ['m.start_date', 'm.id'], key: r => [r.start_date, r.id] },
+  end_date: { columns: ["COALESCE(m.end_date, '9999-12-31')", 'm.id'], key: r => [r.end_date || '9999-12-31', r.id] },
+  price: { columns: ['COALESCE(m.price_from, 999999)', 'm.id'], key: r => [r.price_from ?? 999999, r.id] },
+};
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+// The public listing and its API only reach this far back; older runs stay
+// on the venue and production pages
+const ARCHIVE_DAYS = 365;
+
+function encodeCursor(values) {
+  const bytes = new TextEncoder().encode(JSON.stringify(values));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const values = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    return Array.isArray(values) ? values : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// SQL condition for a run having a weekly slot on the given day (unvalidated JSON is skipped)
+function scheduleSlotSql(day, slot) {
+  return `COALESCE(json_extract(CASE WHEN json_valid(m.schedule) THEN m.schedule END, '$.${day}.${slot}'), '') != ''`;
+}
+
+// Parse GET /api/musicals query parameters into SQL conditions.
+// Returns { where, params, sort, limit, cursor } or { error }.
+function parseMusicalsQuery(searchParams, today) {
+  const conditions = [];
+  const params = [];
+
+  const from = searchParams.get('from') || today;
+  const to = searchParams.get('to') || from;
+  if (!isIsoDate(from) || !isIsoDate(to)) {
+    return { error: 'from and to must be YYYY-MM-DD dates' };
+  }
+  if (to < from) {
+    return { error: 'to must not be before from' };
+  }
+  const archiveDate = addDays(today, -ARCHIVE_DAYS);
+  if (from < archiveDate) {
+    return { error: `from must be on or after ${archiveDate}` };
+  }
+  conditions.push('m.start_date <= ?', '(m.end_date IS NULL OR m.end_date >= ?)');
+  params.push(to, from);
+
+  const type = searchParams.get('type');
+  if (type && MUSICAL_TYPES.includes(type)) {
+    conditions.push('m.type = ?');
+    params.push(type);
+  }
+
+  const dayParam = searchParams.get('day');
+  const days = dayParam ? dayParam.toLowerCase().split(',').map(d => d.trim().slice(0, 3)) : DAY_KEYS;
+  if (days.some(d => !DAY_KEYS.includes(d))) {
+    return { error: 'day must be mon, tue, wed, thu, fri, sat or sun' };
+  }
+  const time = searchParams.get('time');
+  if (time && !['matinee', 'evening'].includes(time)) {
+    return { error: 'time must be matinee or evening' };
+  }
+  if (dayParam || time) {
+    const slots = time ? [time === 'matinee' ? 'm' : 'e'] : ['m', 'e'];
+    const slotConditions = days.flatMap(day => slots.map(slot => scheduleSlotSql(day, slot)));
+    conditions.push(`(${slotConditions.join(' OR ')})`);
+  }
+
+  const maxPrice = searchParams.get('max_price');
+  if (maxPrice !== null) {
+    const price = parseFloat(maxPrice);
+    if (isNaN(price) || price < 0) {
+      return { error: 'max_price must be a positive number' };
+    }
+    conditions.push('m.price_from IS NOT NULL AND m.price_from <= ?');
+    params.push(price);
+  }
+
+  if (searchParams.get('rush') === '1') conditions.push('m.rush_url IS NOT NULL');
+  if (searchParams.get('lottery') === '1') conditions.push('m.lottery_url IS NOT NULL');
+
+  const closingWithin = searchParams.get('closing_within');
+  if (closingWithin !== null) {
+    const daysLeft = parseInt(closingWithin);
+    if (!/^\d+$/.test(closingWithin) || daysLeft > 366) {
+      return { error: 'closing_within must be a number of days (0-366)' };
+    }
+    conditions.push('m.end_date IS NOT NULL AND m.end_date <= ?');
+    params.push(addDays(from, daysLeft));
+  }
+
+  const venue = searchParams.get('venue');
+  if (venue) {
+    conditions.push('(v.slug = ? OR m.venue_name = ?)');
+    params.push(venue, venue);
+  }
+
+  const q = (searchParams.get('q') || '').trim();
+  if (q) {
+    const like = `%${q.replace(/[\\%_]/g, c => '\\' + c)}%`;
+    conditions.push(`(m.title LIKE ? ESCAPE '\\' OR m.venue_name LIKE ? ESCAPE '\\' OR m.description LIKE ? ESCAPE '\\' OR p.title LIKE ? ESCAPE '\\')`);
+    params.push(like, like, like, like);
+  }
+
+  const sortName = searchParams.get('sort') || 'type';
+  const sort = MUSICAL_SORTS[sortName];
+  if (!sort) {
+    return { error: `sort must be one of: ${Object.keys(MUSICAL_SORTS).join(', ')}` };
+  }
+
+  // Without limit or cursor every match is returned, as before pagination existed
+  const limitParam = searchParams.get('limit');
+  const cursorParam = searchParams.get('cursor');
+  const limit = limitParam !== null ? parseInt(limitParam) : cursorParam ? DEFAULT_PAGE_SIZE : null;
+  if (limit !== null && !(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  let cursor = null;
+  if (cursorParam) {
+    cursor = decodeCursor(cursorParam);
+    if (!cursor || cursor.length !== sort.columns.length) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { where: conditions.join(' AND '), params, sort, limit, cursor, from };
+}
+
+// Active run counts by type, as served by /api/stats
+async function loadStats(env, today) {
+  const { results } = await env.DB.prepare(`
+    SELECT type, COUNT(*) as count FROM ${LIVE_MUSICALS}
+    WHERE start_date <= ? AND (end_date IS NULL OR end_date >= ?)
+    GROUP BY type
+  `).bind(today, today).all();
+  return results;
+}
+
+// Public API handlers
+async function handleAPI(request, env, url) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  };
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    // GET /api/musicals - Runs on between from and to (default today), filtered and
+    // sorted in SQL. Paginated with ?limit and ?cursor (all matches when neither is
+    // given); totals are in the headers.
+    if (url.pathname === '/api/musicals' && request.method === 'GET') {
+      const today = new Date().toISOString().split('T')[0];
+      const listing = parseMusicalsQuery(url.searchParams, today);
+      if (listing.error) {
+        return new Response(JSON.stringify({ error: listing.error }), {
+          status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        });
+      }
+
+      const { where, params, sort, limit, cursor } = listing;
+      const pageWhere = cursor
+        ? `${where} AND (${sort.columns.join(', ')}) > (${sort.columns.map(() => '?').join(', ')})`
+        : where;
+      const [page, count] = await env.DB.batch([
+        env.DB.prepare(`${RUN_SELECT} WHERE ${pageWhere} ORDER BY ${sort.columns.join(', ')}${limit ? ' LIMIT ?' : ''}`)
+          .bind(...params, ...(cursor || []), ...(limit ? [limit + 1] : [])),
+        env.DB.prepare(`
+          SELECT COUNT(*) AS total FROM ${LIVE_MUSICALS} m
+          LEFT JOIN venues v ON v.id = m.venue_id
+          LEFT JOIN productions p ON p.id = m.production_id
+          WHERE ${where}
+        `).bind(...params),
+      ]);
+
+      const results = limit ? page.results.slice(0, limit) : page.results;
+      await attachExceptions(env, results, listing.from);
+
+      const responseHeaders = {
+        ...corsHeaders,
+        'Content-Type': 'application/json',
+        'Access-Control-Expose-Headers': 'X-Total-Count, X-Next-Cursor, Link',
+        'X-Total-Count': String(count.results[0].total),
+      };
+      if (limit && page.results.length > limit) {
+        const nextCursor = encodeCursor(sort.key(results[results.length - 1]));
+        const nextUrl = new URL(url);
+        nextUrl.searchParams.set('cursor', nextCursor);
+        responseHeaders['X-Next-Cursor'] = nextCursor;
+        responseHeaders['Link'] = `<${nextUrl.pathname}${nextUrl.search}>; rel="next"`;
+      }
+      return new Response(JSON.stringify(results), { headers: responseHeaders });
+    }
+
+    if (url.pathname.match(/^\/api\/musicals\/\d+$/) && request.method === 'GET') {
+      const id = url.pathname.split('/')[3];
+      const result = await env.DB.prepare(`${RUN_SELECT} WHERE m.id = ?`).bind(id).first();
+      if (!result) {
         return new Response(JSON.stringify({ error: 'Not found' }), {
           status: 404, headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         });
       }
+      await attachExceptions(env, [result], new Date().toISOString().split('T')[0]);
       return new Response(JSON.stringify(result), {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       });
     }
 
-    if (url.pathname === '/api/stats' && request.method === 'GET') {
+    // GET /api/performances?from=&to=&type=&venue= - Dated performances in Europe/London time
+    if (url.pathname === '/api/performances' && request.method === 'GET') {
+      const today = new Date().toISOString().split('T')[0];
+      const from = url.searchParams.get('from') || today;
+      const to = url.searchParams.get('to') || (isIsoDate(from) ? addDays(from, 6) : from);
+      const type = url.searchParams.get('type');
+      const venue = url.searchParams.get('venue');
+      const jsonHeaders = { ...corsHeaders, 'Content-Type': 'application/json' };
+
+      if (!isIsoDate(from) || !isIsoDate(to)) {
+        return new Response(JSON.stringify({ error: 'from and to must be dates in YYYY-MM-DD format' }), { status: 400, headers: jsonHeaders });
+      }
+      if (to < from || daysBetween(from, to) >= MAX_PERFORMANCE_RANGE_DAYS) {
+        return new Response(JSON.stringify({ error: `Date range must be 1 to ${MAX_PERFORMANCE_RANGE_DAYS} days` }), { status: 400, headers: jsonHeaders });
+      }
+
+      let query = `${RUN_SELECT} WHERE m.start_date <= ? AND (m.end_date IS NULL OR m.end_date >= ?)`;
+      const params = [to, from];
+      if (type && MUSICAL_TYPES.includes(type)) {
+        query += ` AND m.type = ?`;
+        params.push(type);
+      }
+      if (venue) {
+        // Accept a venue slug or its exact name
+        query += ` AND (v.slug = ? OR m.venue_name = ?)`;
+        params.push(venue, venue);
+      }
+
+      const { results } = await env.DB.prepare(query).bind(...params).all();
+      await attachExceptions(env, results, from);
+
+      const includeCancelled = url.searchParams.get('include_cancelled') === '1';
+      const performances = results
+        .flatMap(run => expandPerformances(run, from, to, { includeCancelled }))
+        .sort((a, b) => a.start.localeCompare(b.start) || a.title.localeCompare(b.title));
+
+      return new Response(JSON.stringify(performances), { headers: jsonHeaders });
+    }
+
+    // GET /api/musicals/:id/calendar.ics - Calendar of one run's upcoming performances
+    if (url.pathname.match(/^\/api\/musicals\/\d+\/calendar\.ics$/) && request.method === 'GET') {
+      const id = url.pathname.split('/')[3];
+      const run = await env.DB.prepare(`${RUN_SELECT} WHERE m.id = ?`).bind(id).first();
+      if (!run) {
+        return new Response('Not Found', { status: 404, headers: corsHeaders });
+      }
+      const today = new Date().toISOString().split('T')[0];
+      await attachExceptions(env, [run], today);
+      return calendarResponse(`${run.title} - ${run.venue_name}`, `${run.run_id || run.id}.ics`,
+        [run], today, addDays(today, CALENDAR_WINDOW_DAYS - 1), corsHeaders);
+    }
+
+    // GET /api/venues/:slug/calendar.ics - Calendar of everything on at a venue
+    if (url.pathname.match(/^\/api\/venues\/[a-z0-9-]+\/calendar\.ics$/) && request.method === 'GET') {
+      const slug = url.pathname.split('/')[3];
+      const venue = await env.DB.prepare('SELECT id, name FROM venues WHERE slug = ?').bind(slug).first();
+      if (!venue) {
+        return new Response('Not Found', { status: 404, headers: corsHeaders });
+      }
       const today = new Date().toISOString().split('T')[0];
+      const toDate = addDays(today, CALENDAR_WINDOW_DAYS - 1);
       const { results } = await env.DB.prepare(`
-        SELECT type, COUNT(*) as count FROM musicals
-        WHERE start_date <= ? AND (end_date IS NULL OR end_date >= ?)
-        GROUP BY type
-      `).bind(today, today).all();
-      return new Response(JSON.stringify(results), {
+        ${RUN_SELECT} WHERE m.venue_id = ? AND m.start_date <= ? AND (m.end_date IS NULL OR m.end_date >= ?)
+      `).bind(venue.id, toDate, today).all();
+      await attachExceptions(env, results, today);
+      return calendarResponse(`${venue.name} - London Musicals`, `${slug}.ics`, results, today, toDate, corsHeaders);
+    }
+
+    if (url.pathname === '/api/stats' && request.method === 'GET') {
+      const today = new Date().toISOString().split('T')[0];
+      const payload = await getPrecomputed(env, 'stats', today) || JSON.stringify(await loadStats(env, today));
+      return new Response(payload, {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       });
     }
@@ -352,34 +2748,493 @@ async function handleAPI(request, env, url) {
   }
 }
 
-// Admin HTML generator
-async function generateAdminHTML(env) {
-  const { results: musicals } = await env.DB.prepare(
-    'SELECT * FROM musicals ORDER BY type, title'
-  ).all();
+// Admin HTML generator
+async function generateAdminHTML(env) {
+  // A fresh database has no tables until the migrations are applied
+  const hasProductions = await tableExists(env, 'productions');
+  const { results: musicals } = !await tableExists(env, 'musicals')
+    ? { results: [] }
+    : hasProductions
+      ? { results: await listAdminRuns(env) }
+      : await env.DB.prepare('SELECT * FROM musicals ORDER BY type, title').all();
+  const { results: venues } = await tableExists(env, 'venues')
+    ? await env.DB.prepare(`
+        SELECT v.*, (SELECT COUNT(*) FROM musicals WHERE venue_id = v.id) AS run_count
+        FROM venues v ORDER BY v.name
+      `).all()
+    : { results: [] };
+  const { results: productions } = hasProductions
+    ? await env.DB.prepare(`
+        SELECT p.*, (SELECT COUNT(*) FROM musicals WHERE production_id = p.id) AS run_count
+        FROM productions p ORDER BY p.title
+      `).all()
+    : { results: [] };
+
+  return ADMIN_TEMPLATE
+    .replace('{{MUSICALS_JSON}}', JSON.stringify(musicals))
+    .replace('{{VENUES_JSON}}', JSON.stringify(venues))
+    .replace('{{PRODUCTIONS_JSON}}', JSON.stringify(productions));
+}
+
+// Venue page generator - returns null for an unknown slug
+async function generateVenueHTML(env, slug) {
+  const venue = await env.DB.prepare('SELECT * FROM venues WHERE slug = ?').bind(slug).first();
+  if (!venue) return null;
+
+  const today = new Date().toISOString().split('T')[0];
+  const { results: runs } = await env.DB.prepare(`${RUN_SELECT} WHERE m.venue_id = ? ORDER BY m.start_date`)
+    .bind(venue.id).all();
+
+  const current = runs.filter(m => m.start_date <= today && (!m.end_date || m.end_date >= today));
+  const upcoming = runs.filter(m => m.start_date > today);
+  const past = runs.filter(m => m.end_date && m.end_date < today).reverse();
+
+  const aliases = parseAliases(venue);
+  const details = [
+    venue.address ? `<p class="venue-address">${escapeHtml(venue.address)}${venue.postcode && !venue.address.toUpperCase().includes(venue.postcode) ? ', ' + escapeHtml(venue.postcode) : ''}</p>` : '',
+    renderMapLinks(venue.name, venue.address, venue.latitude, venue.longitude),
+    `<p class="venue-fact"><a href="/api/venues/${encodeURIComponent(venue.slug)}/calendar.ics">📅 Add this venue's performances to your calendar</a></p>`,
+    venue.capacity ? `<p class="venue-fact"><strong>Capacity:</strong> ${Number(venue.capacity).toLocaleString('en-GB')} seats</p>` : '',
+    aliases.length ? `<p class="venue-fact"><strong>Also known as:</strong> ${aliases.map(escapeHtml).join(', ')}</p>` : '',
+    venue.access_info ? `<p class="venue-fact"><strong>Access:</strong> ${escapeHtml(venue.access_info)}</p>` : '',
+  ].join('');
+
+  const options = { showVenue: false };
+  const sections = [
+    renderRunSection('Now Playing', current, today, options),
+    renderRunSection('Coming Soon', upcoming, today, options),
+    renderRunSection('Previously at this Venue', past, today, options),
+  ].join('') || '<p class="empty-state">No productions listed for this venue yet.</p>';
+
+  return VENUE_TEMPLATE
+    .replaceAll('{{VENUE_NAME}}', escapeHtml(venue.name))
+    .replace('{{VENUE_DETAILS}}', details)
+    .replace('{{RUN_SECTIONS}}', sections);
+}
+
+// Production page generator - returns null for an unknown slug
+async function generateProductionHTML(env, slug) {
+  const production = await env.DB.prepare('SELECT * FROM productions WHERE slug = ?').bind(slug).first();
+  if (!production) return null;
+
+  const today = new Date().toISOString().split('T')[0];
+  const { results: runs } = await env.DB.prepare(`${RUN_SELECT} WHERE m.production_id = ? ORDER BY m.start_date`)
+    .bind(production.id).all();
+
+  const current = runs.filter(m => m.start_date <= today && (!m.end_date || m.end_date >= today));
+  const upcoming = runs.filter(m => m.start_date > today);
+  const past = runs.filter(m => m.end_date && m.end_date < today).reverse();
+
+  const team = parseCreativeTeam(production);
+  const venueCount = new Set(runs.map(m => m.venue_id || m.venue_name)).size;
+  const details = [
+    production.image_url ? `<img src="${escapeHtml(production.image_url)}" alt="${escapeHtml(production.title)}" class="production-image">` : '',
+    production.genre ? `<span class="card-badge">${escapeHtml(production.genre)}</span>` : '',
+    production.synopsis ? `<p class="production-synopsis">${escapeHtml(production.synopsis)}</p>` : '',
+    team.length ? `<dl class="creative-team">${team.map(member =>
+      `<dt>${escapeHtml(member.role)}</dt><dd>${escapeHtml(member.name)}</dd>`).join('')}</dl>` : '',
+    runs.length ? `<p class="venue-fact">${runs.length} ${runs.length === 1 ? 'run' : 'runs'} at ${venueCount} ${venueCount === 1 ? 'venue' : 'venues'}</p>` : '',
+  ].join('');
+
+  const sections = [
+    renderRunSection('Now Playing', current, today),
+    renderRunSection('Coming Soon', upcoming, today),
+    renderRunSection('Previous Runs', past, today),
+  ].join('') || '<p class="empty-state">No runs listed for this production yet.</p>';
+
+  return PRODUCTION_TEMPLATE
+    .replaceAll('{{PRODUCTION_TITLE}}', escapeHtml(production.title))
+    .replace('{{PRODUCTION_DETAILS}}', details)
+    .replace('{{RUN_SECTIONS}}', sections);
+}
+
+// How far ahead show pages list individual performances
+const SHOW_PAGE_UPCOMING_DAYS = 28;
+
+// Show page generator - returns null for an unknown run_id
+async function generateShowHTML(env, runId, url) {
+  const run = await env.DB.prepare(`${RUN_SELECT} WHERE m.run_id = ?`).bind(runId).first();
+  if (!run) return null;
+
+  const today = new Date().toISOString().split('T')[0];
+  await attachExceptions(env, [run], today);
+  const performances = expandPerformances(run, today, addDays(today, SHOW_PAGE_UPCOMING_DAYS - 1), { includeCancelled: true });
+
+  // Other runs of the same production (or the same title for runs without one)
+  const { results: siblings } = run.production_id
+    ? await env.DB.prepare(`${RUN_SELECT} WHERE m.production_id = ? AND m.id != ? ORDER BY m.start_date DESC`)
+      .bind(run.production_id, run.id).all()
+    : await env.DB.prepare(`${RUN_SELECT} WHERE m.production_id IS NULL AND m.title = ? AND m.id != ? ORDER BY m.start_date DESC`)
+      .bind(run.title, run.id).all();
+
+  const price = run.price_from ? ` · From £${run.price_from.toFixed(2)}` : '';
+  const details = [
+    `<span class="card-badge">${escapeHtml(run.type)}</span>`,
+    `<p class="card-venue">${run.venue_slug
+      ? `<a href="/venues/${encodeURIComponent(run.venue_slug)}">${escapeHtml(run.venue_name)}</a>`
+      : escapeHtml(run.venue_name)}</p>`,
+    run.venue_address ? `<p class="venue-address">${escapeHtml(run.venue_address)}</p>` : '',
+    renderMapLinks(run.venue_name, run.venue_address, run.venue_latitude, run.venue_longitude),
+    `<p class="venue-fact">${formatRunDates(run, today)}${price}</p>`,
+    run.running_time_minutes ? `<p class="venue-fact">Running time: ${formatRunningTime(run)}</p>` : '',
+    run.production_slug
+      ? `<p class="venue-fact">Part of <a href="/productions/${encodeURIComponent(run.production_slug)}">${escapeHtml(run.production_title)}</a></p>`
+      : '',
+    run.description ? `<p class="production-synopsis">${escapeHtml(run.description)}</p>` : '',
+    renderTicketOptions(run),
+  ].join('');
+
+  const schedule = parseSchedule(run.schedule);
+  const sections = [
+    schedule ? `
+    <section class="section">
+      <h2 class="section-title"><span>Weekly Schedule</span></h2>
+      ${renderWeeklySchedule(schedule)}
+    </section>` : '',
+    `
+    <section class="section">
+      <h2 class="section-title"><span>Upcoming Performances</span></h2>
+      ${renderUpcomingPerformances(performances)}
+    </section>`,
+    renderRunSection('Other Runs', siblings, today),
+  ].join('');
+
+  // The run as an EventSeries of its upcoming performances
+  const event = buildRunJsonLd(run, url.origin, today);
+  const structuredData = {
+    ...event,
+    '@type': 'EventSeries',
+    subEvent: performances.map(perf => ({
+      '@type': 'TheaterEvent',
+      name: run.title,
+      startDate: perf.start,
+      endDate: perf.end || undefined,
+      eventStatus: PERFORMANCE_EVENT_STATUS[perf.status],
+      eventAttendanceMode: event.eventAttendanceMode,
+      location: event.location,
+      url: event.url,
+    })),
+  };
+  const metaTags = renderSocialMeta({
+    title: `${run.title} at ${run.venue_name}`,
+    description: run.description || `${run.title} at ${run.venue_name}, London. ${formatRunDates(run, today)}.`,
+    url: event.url,
+    image: run.production_image_url,
+  });
+
+  return SHOW_TEMPLATE
+    .replaceAll('{{SHOW_TITLE}}', escapeHtml(run.title))
+    .replaceAll('{{VENUE_NAME}}', escapeHtml(run.venue_name))
+    .replace('{{META_TAGS}}', metaTags)
+    .replace('{{STRUCTURED_DATA}}', renderJsonLd(structuredData))
+    .replace('{{SHOW_DETAILS}}', details)
+    .replace('{{RUN_SECTIONS}}', sections);
+}
+
+// Filters the public page can be opened with (see readUrlState on the page)
+const PUBLIC_FILTERS = ['all', 'west-end', 'off-west-end', 'drama-school', 'rush-lottery', 'closing-soon'];
+const DATE_PRESET_BUTTONS = {
+  today: 'btnToday', week: 'btnThisWeek', month: 'btnThisMonth', quarter: 'btnThisQuarter', year: 'btnThisYear',
+};
+
+// End date of a quick date range starting today
+function datePresetEnd(preset, today, threeMonths) {
+  const [year, month] = today.split('-').map(Number);
+  switch (preset) {
+    case 'today': return today;
+    case 'week': return addDays(today, 7 - new Date(today + 'T00:00:00Z').getUTCDay());
+    case 'month': return new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+    case 'year': return `${year}-12-31`;
+    default: return threeMonths;
+  }
+}
+
+// Filter state from ?filter=&dates= or ?filter=&from=&to=
+function parseFilterState(searchParams, today, threeMonths) {
+  const filter = PUBLIC_FILTERS.includes(searchParams.get('filter')) ? searchParams.get('filter') : 'all';
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  if (isIsoDate(from) && isIsoDate(to)) {
+    return { filter, dates: null, from, to };
+  }
+  const dates = DATE_PRESET_BUTTONS[searchParams.get('dates')] ? searchParams.get('dates') : 'quarter';
+  return { filter, dates, from: today, to: datePresetEnd(dates, today, threeMonths) };
+}
+
+// Ended runs drop out of the sitemap after this many days
+const SITEMAP_ENDED_DAYS = 90;
+// Show URLs per sitemap file; past this, /sitemap.xml becomes a sitemap index
+const SITEMAP_PAGE_SIZE = 5000;
+
+// W3C datetime for a SQLite CURRENT_TIMESTAMP value (sitemaps and feeds)
+function w3cDateTime(timestamp) {
+  if (!timestamp) return null;
+  const value = String(timestamp);
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) return value.replace(' ', 'T') + 'Z';
+  return isIsoDate(value) ? value : null;
+}
+
+function renderUrlset(entries) {
+  const urls = entries.map(({ loc, lastmod }) =>
+    `  <url><loc>${escapeHtml(loc)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+function renderSitemapIndex(locs) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(loc => `  <sitemap><loc>${escapeHtml(loc)}</loc></sitemap>`).join('\n')}
+</sitemapindex>
+`;
+}
+
+// Home, venue and production pages
+async function sitemapPageEntries(env, origin) {
+  const [latest, venues, productions] = await env.DB.batch([
+    env.DB.prepare(`SELECT MAX(updated_at) AS updated_at FROM ${LIVE_MUSICALS}`),
+    env.DB.prepare('SELECT slug, updated_at FROM venues ORDER BY slug'),
+    env.DB.prepare('SELECT slug, updated_at FROM productions ORDER BY slug'),
+  ]);
+  return [
+    { loc: `${origin}/`, lastmod: w3cDateTime(latest.results[0].updated_at) },
+    ...venues.results.map(v => ({ loc: `${origin}/venues/${encodeURIComponent(v.slug)}`, lastmod: w3cDateTime(v.updated_at) })),
+    ...productions.results.map(p => ({ loc: `${origin}/productions/${encodeURIComponent(p.slug)}`, lastmod: w3cDateTime(p.updated_at) })),
+  ];
+}
+
+// One page of show pages for current, upcoming and recently ended runs
+async function sitemapRunEntries(env, origin, cutoff, page) {
+  const { results } = await env.DB.prepare(`
+    SELECT run_id, updated_at FROM ${LIVE_MUSICALS}
+    WHERE run_id IS NOT NULL AND (end_date IS NULL OR end_date >= ?)
+    ORDER BY id LIMIT ? OFFSET ?
+  `).bind(cutoff, SITEMAP_PAGE_SIZE, (page - 1) * SITEMAP_PAGE_SIZE).all();
+  return results.map(m => ({ loc: `${origin}/shows/${encodeURIComponent(m.run_id)}`, lastmod: w3cDateTime(m.updated_at) }));
+}
+
+// GET /sitemap.xml, /sitemap-pages.xml and /sitemap-shows-N.xml
+async function handleSitemap(env, url) {
+  const xmlHeaders = { 'Content-Type': 'application/xml; charset=utf-8' };
+  const today = new Date().toISOString().split('T')[0];
+  const cutoff = addDays(today, -SITEMAP_ENDED_DAYS);
+  const { total } = await env.DB.prepare(`
+    SELECT COUNT(*) AS total FROM ${LIVE_MUSICALS} WHERE run_id IS NOT NULL AND (end_date IS NULL OR end_date >= ?)
+  `).bind(cutoff).first();
+  const pageCount = Math.max(1, Math.ceil(total / SITEMAP_PAGE_SIZE));
+
+  if (url.pathname === '/sitemap.xml') {
+    if (pageCount === 1) {
+      const entries = [...await sitemapPageEntries(env, url.origin), ...await sitemapRunEntries(env, url.origin, cutoff, 1)];
+      return new Response(renderUrlset(entries), { headers: xmlHeaders });
+    }
+    const locs = [`${url.origin}/sitemap-pages.xml`];
+    for (let page = 1; page <= pageCount; page++) locs.push(`${url.origin}/sitemap-shows-${page}.xml`);
+    return new Response(renderSitemapIndex(locs), { headers: xmlHeaders });
+  }
+
+  if (url.pathname === '/sitemap-pages.xml') {
+    return new Response(renderUrlset(await sitemapPageEntries(env, url.origin)), { headers: xmlHeaders });
+  }
+
+  const page = parseInt(url.pathname.match(/^\/sitemap-shows-(\d+)\.xml$/)[1]);
+  if (page < 1 || page > pageCount) {
+    return new Response('Not Found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+  }
+  return new Response(renderUrlset(await sitemapRunEntries(env, url.origin, cutoff, page)), { headers: xmlHeaders });
+}
+
+// Atom/RSS feeds of newly announced runs (by created_at) and runs closing soon
+const FEED_LIMIT = 50;
+// Matches the Closing Soon filter on the public page
+const CLOSING_SOON_DAYS = 28;
+const FEEDS = {
+  'new': { title: 'Newly Announced', description: 'Musicals newly added to London Musicals' },
+  'closing-soon': { title: 'Closing Soon', description: `Musicals ending within ${CLOSING_SOON_DAYS / 7} weeks` },
+};
+
+// Runs for a feed, each with the time it became news as feed_date
+async function loadFeedRuns(env, name, type, today) {
+  const conditions = [];
+  const params = [];
+  if (name === 'new') {
+    conditions.push('(m.end_date IS NULL OR m.end_date >= ?)');
+    params.push(today);
+  } else {
+    conditions.push('m.end_date >= ? AND m.end_date <= ?');
+    params.push(today, addDays(today, CLOSING_SOON_DAYS));
+  }
+  if (type) {
+    conditions.push('m.type = ?');
+    params.push(type);
+  }
+  const order = name === 'new' ? 'm.created_at DESC, m.id DESC' : 'm.end_date, m.title';
+  const { results } = await env.DB.prepare(`${RUN_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY ${order} LIMIT ?`)
+    .bind(...params, FEED_LIMIT).all();
+
+  return results.map(run => {
+    const created = w3cDateTime(run.created_at) || `${today}T00:00:00Z`;
+    // A closing notice dates from when the run entered the window (or was added, if later)
+    const enteredWindow = run.end_date ? `${addDays(run.end_date, -CLOSING_SOON_DAYS)}T00:00:00Z` : created;
+    return { ...run, feed_date: name === 'new' || created > enteredWindow ? created : enteredWindow };
+  });
+}
+
+function renderAtomFeed({ title, selfUrl, siteUrl, entries }) {
+  const updated = entries.reduce((latest, e) => (e.updated > latest ? e.updated : latest), '1970-01-01T00:00:00Z');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(title)}</title>
+  <id>${escapeHtml(selfUrl)}</id>
+  <link rel="self" href="${escapeHtml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(siteUrl)}"/>
+  <updated>${updated}</updated>
+${entries.map(e => `  <entry>
+    <title>${escapeHtml(e.title)}</title>
+    <id>${escapeHtml(e.id)}</id>
+    <link rel="alternate" type="text/html" href="${escapeHtml(e.link)}"/>
+    <published>${e.updated}</published>
+    <updated>${e.updated}</updated>
+    <author><name>London Musicals</name></author>
+    <category term="${escapeHtml(e.category)}"/>
+    <summary>${escapeHtml(e.summary)}</summary>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+function renderRssFeed({ title, description, selfUrl, siteUrl, entries }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(siteUrl)}</link>
+    <description>${escapeHtml(description)}</description>
+    <atom:link href="${escapeHtml(selfUrl)}" rel="self" type="application/rss+xml"/>
+${entries.map(e => `    <item>
+      <title>${escapeHtml(e.title)}</title>
+      <link>${escapeHtml(e.link)}</link>
+      <guid isPermaLink="false">${escapeHtml(e.id)}</guid>
+      <pubDate>${new Date(e.updated).toUTCString()}</pubDate>
+      <category>${escapeHtml(e.category)}</category>
+      <description>${escapeHtml(e.summary)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+// GET /feeds/new.atom|rss and /feeds/closing-soon.atom|rss, with optional ?type=
+async function handleFeed(env, url, name, format) {
+  const today = new Date().toISOString().split('T')[0];
+  const typeParam = url.searchParams.get('type');
+  const type = MUSICAL_TYPES.includes(typeParam) ? typeParam : null;
+  const runs = await loadFeedRuns(env, name, type, today);
+
+  const feed = FEEDS[name];
+  const title = ['London Musicals', feed.title, type].filter(Boolean).join(' - ');
+  const selfUrl = `${url.origin}${url.pathname}${type ? `?type=${encodeURIComponent(type)}` : ''}`;
+  const entries = runs.map(run => ({
+    id: `${url.origin}/feeds/${name}/${run.run_id || run.id}`,
+    title: name === 'new'
+      ? `${run.title} at ${run.venue_name}`
+      : `Closing ${formatDateSafe(run.end_date)}: ${run.title} at ${run.venue_name}`,
+    link: run.run_id ? `${url.origin}/shows/${encodeURIComponent(run.run_id)}` : `${url.origin}/`,
+    updated: run.feed_date,
+    category: run.type,
+    summary: [formatRunDates(run, today), run.description].filter(Boolean).join('. '),
+  }));
+
+  const options = { title, description: feed.description, selfUrl, siteUrl: `${url.origin}/`, entries };
+  return format === 'atom'
+    ? new Response(renderAtomFeed(options), { headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' } })
+    : new Response(renderRssFeed(options), { headers: { 'Content-Type': 'application/rss+xml; charset=utf-8' } });
+}
+
+function robotsTxt(origin) {
+  return `User-agent: *
+Disallow: /admin
+Disallow: /showcards
+
+Sitemap: ${origin}/sitemap.xml
+`;
+}
 
-  return ADMIN_TEMPLATE.replace('{{MUSICALS_JSON}}', JSON.stringify(musicals));
+// End of the public page's default window: three months from today
+function defaultWindowEnd(today) {
+  const date = new Date(today + 'T00:00:00Z');
+  date.setUTCMonth(date.getUTCMonth() + 3);
+  return date.toISOString().split('T')[0];
+}
+
+// Runs on between from and to with their exceptions, as embedded in the public page
+async function loadListingRuns(env, from, to, exceptionsFrom) {
+  const { results } = await env.DB.prepare(`
+    ${RUN_SELECT} WHERE m.start_date <= ? AND (m.end_date IS NULL OR m.end_date >= ?)
+    ORDER BY m.type, m.title
+  `).bind(to, from).all();
+  return attachExceptions(env, results, exceptionsFrom);
 }
 
 // Public HTML generator
-async function generateHTML(env) {
+async function generateHTML(env, url) {
   const today = new Date();
   const todayStr = today.toISOString().split('T')[0];
+  const threeMonthsStr = defaultWindowEnd(todayStr);
 
-  // Calculate 3 months from today
-  const threeMonths = new Date(today);
-  threeMonths.setMonth(threeMonths.getMonth() + 3);
-  const threeMonthsStr = threeMonths.toISOString().split('T')[0];
+  const archiveDate = addDays(todayStr, -ARCHIVE_DAYS);
+  const state = parseFilterState(url.searchParams, todayStr, threeMonthsStr);
+
+  // Only the selected window is embedded; the page fetches other ranges from /api/musicals
+  let windowFrom = state.from < archiveDate ? archiveDate : state.from;
+  let windowTo = state.to;
+  if (windowTo < windowFrom) {
+    windowFrom = todayStr;
+    windowTo = threeMonthsStr;
+  }
+  // Exceptions from a week before the window, so its first week's schedule is complete.
+  // The default window is precomputed by the daily jobs
+  const isDefaultWindow = windowFrom === todayStr && windowTo === threeMonthsStr;
+  const precomputed = isDefaultWindow ? await getPrecomputed(env, 'listing', todayStr) : null;
+  const musicals = precomputed
+    ? JSON.parse(precomputed)
+    : await loadListingRuns(env, windowFrom, windowTo, addDays(windowFrom < todayStr ? windowFrom : todayStr, -7));
+
+  const countType = type => musicals.filter(m => m.type === type).length;
+
+  // First paint shows the filters from the URL as selected
+  let html = HTML_TEMPLATE
+    .replace(`class="filter-btn" data-filter="${state.filter}"`, `class="filter-btn active" data-filter="${state.filter}"`);
+  if (state.dates) {
+    const btn = DATE_PRESET_BUTTONS[state.dates];
+    html = html.replace(`class="date-filter-btn secondary" id="${btn}"`, `class="date-filter-btn secondary active" id="${btn}"`);
+  }
 
-  // Fetch ALL musicals for client-side date filtering
-  const { results: allMusicals } = await env.DB.prepare(`
-    SELECT * FROM musicals ORDER BY type, title
-  `).all();
+  const metaTags = renderSocialMeta({
+    title: "London Musicals - What's On Stage Today",
+    description: 'Discover musicals playing in London today. West End, Off West End, and Drama School productions.',
+    url: `${url.origin}/`,
+  });
+  const structuredData = { '@graph': musicals.map(m => buildRunJsonLd(m, url.origin, todayStr)) };
 
-  return HTML_TEMPLATE
-    .replaceAll('{{MUSICALS_DATA}}', JSON.stringify(allMusicals))
+  return html
+    .replace('{{META_TAGS}}', metaTags)
+    .replace('{{STRUCTURED_DATA}}', renderJsonLd(structuredData))
+    .replaceAll('{{MUSICALS_DATA}}', JSON.stringify(musicals).replace(/</g, '\\u003c'))
     .replaceAll('{{TODAY_DATE}}', todayStr)
     .replaceAll('{{THREE_MONTHS_DATE}}', threeMonthsStr)
+    .replaceAll('{{ARCHIVE_DATE}}', archiveDate)
+    .replaceAll('{{DATE_FROM}}', state.from)
+    .replaceAll('{{DATE_TO}}', state.to)
+    .replaceAll('{{LOADED_FROM}}', windowFrom)
+    .replaceAll('{{LOADED_TO}}', windowTo)
+    .replaceAll('{{TOTAL_COUNT}}', String(musicals.length))
+    .replaceAll('{{WEST_END_COUNT}}', String(countType('West End')))
+    .replaceAll('{{OFF_WEST_END_COUNT}}', String(countType('Off West End')))
+    .replaceAll('{{DRAMA_SCHOOL_COUNT}}', String(countType('Drama School')))
     .replaceAll('{{TODAY}}', today.toLocaleDateString('en-GB', {
       weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
     }));
@@ -391,20 +3246,47 @@ function formatDateSafe(dateStr) {
   return new Date(year, month - 1, day).toLocaleDateString('en-GB', { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
-function renderCard(musical) {
-  const endDate = musical.end_date
-    ? formatDateSafe(musical.end_date)
-    : 'Open run';
+// Date line for a run, matching the wording on the public cards
+function formatRunDates(musical, today) {
+  if (musical.end_date && musical.start_date === musical.end_date) {
+    return `Only on ${formatDateSafe(musical.start_date)}`;
+  }
+  if (musical.start_date <= today) {
+    if (!musical.end_date) return 'Open run';
+    return `${musical.end_date < today ? 'Ended' : 'Until'} ${formatDateSafe(musical.end_date)}`;
+  }
+  return musical.end_date
+    ? `From ${formatDateSafe(musical.start_date)} until ${formatDateSafe(musical.end_date)}`
+    : `From ${formatDateSafe(musical.start_date)}`;
+}
+
+// "2h 40m · 1 interval", or '' when the running time isn't known
+function formatRunningTime(run) {
+  if (!run.running_time_minutes) return '';
+  const hours = Math.floor(run.running_time_minutes / 60);
+  const minutes = run.running_time_minutes % 60;
+  const length = [hours ? `${hours}h` : '', minutes ? `${minutes}m` : ''].filter(Boolean).join(' ');
+  if (run.interval_count == null) return length;
+  const intervals = run.interval_count === 0 ? 'no interval' : `${run.interval_count} interval${run.interval_count === 1 ? '' : 's'}`;
+  return `${length} · ${intervals}`;
+}
+
+function renderCard(musical, today, { showVenue = true } = {}) {
   const price = musical.price_from ? `From £${musical.price_from.toFixed(2)}` : '';
 
   return `
     <div class="card">
       <div class="card-badge">${escapeHtml(musical.type)}</div>
-      <h3 class="card-title">${escapeHtml(musical.title)}</h3>
-      <p class="card-venue">${escapeHtml(musical.venue_name)}</p>
+      <h3 class="card-title">${musical.run_id
+        ? `<a href="/shows/${encodeURIComponent(musical.run_id)}">${escapeHtml(musical.title)}</a>`
+        : escapeHtml(musical.title)}</h3>
+      ${showVenue ? `<p class="card-venue">${musical.venue_slug
+        ? `<a href="/venues/${encodeURIComponent(musical.venue_slug)}">${escapeHtml(musical.venue_name)}</a>`
+        : escapeHtml(musical.venue_name)}</p>` : ''}
       ${musical.description ? `<p class="card-desc">${escapeHtml(musical.description)}</p>` : ''}
+      ${musical.running_time_minutes ? `<p class="card-duration">${formatRunningTime(musical)}</p>` : ''}
       <div class="card-meta">
-        <span class="card-date">Until ${endDate}</span>
+        <span class="card-date">${formatRunDates(musical, today)}</span>
         ${price ? `<span class="card-price">${price}</span>` : ''}
       </div>
       ${musical.ticket_url ? `<a href="${escapeHtml(musical.ticket_url)}" target="_blank" rel="noopener" class="card-btn">Get Tickets</a>` : ''}
@@ -412,6 +3294,174 @@ function renderCard(musical) {
   `;
 }
 
+// Google Maps search/directions links, preferring exact coordinates when known
+function renderMapLinks(name, address, latitude, longitude) {
+  if (!address && latitude == null) return '';
+  const query = encodeURIComponent(latitude != null && longitude != null
+    ? `${latitude},${longitude}`
+    : `${name} ${address}`);
+  return `<span class="venue-icons">
+    <a href="https://www.google.com/maps/search/?api=1&query=${query}" target="_blank" rel="noopener" class="venue-badge" title="View on map">📍 Map</a>
+    <a href="https://www.google.com/maps/dir/?api=1&destination=${query}" target="_blank" rel="noopener" class="venue-badge" title="Get directions">🧭 Directions</a>
+  </span>`;
+}
+
+// 19:30 -> 7:30pm, as on the public cards
+function formatShowTime(time) {
+  if (!time) return '-';
+  const [h, m] = time.split(':');
+  const hour = parseInt(h);
+  const hour12 = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
+  return `${hour12}:${m}${hour >= 12 ? 'pm' : 'am'}`;
+}
+
+// Tickets, rush, lottery and calendar links for a show page
+function renderTicketOptions(run) {
+  const options = [
+    run.ticket_url ? `<a href="${escapeHtml(run.ticket_url)}" target="_blank" rel="noopener" class="card-btn">🎟️ Get Tickets</a>` : '',
+    run.rush_url ? `<a href="${escapeHtml(run.rush_url)}" target="_blank" rel="noopener" class="ticket-option">⚡ Rush tickets${run.rush_price ? ` £${run.rush_price.toFixed(0)}` : ''}</a>` : '',
+    run.lottery_url ? `<a href="${escapeHtml(run.lottery_url)}" target="_blank" rel="noopener" class="ticket-option">🎲 Lottery${run.lottery_price ? ` £${run.lottery_price.toFixed(0)}` : ''}</a>` : '',
+    `<a href="/api/musicals/${run.id}/calendar.ics" class="ticket-option">📅 Add to calendar</a>`,
+  ];
+  return `<div class="ticket-options">${options.join('')}</div>`;
+}
+
+// Matinee/evening times for each day of the week
+function renderWeeklySchedule(schedule) {
+  const days = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+  const labels = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const row = (label, slot) => `<tr><th>${label}</th>${days.map(day => {
+    const time = schedule[day] && schedule[day][slot];
+    return `<td>${typeof time === 'string' && time ? formatShowTime(time) : time ? '•' : '-'}</td>`;
+  }).join('')}</tr>`;
+  return `
+      <table class="schedule-table">
+        <thead><tr><th></th>${labels.map(label => `<th>${label}</th>`).join('')}</tr></thead>
+        <tbody>${row('Matinee', 'm')}${row('Evening', 'e')}</tbody>
+      </table>`;
+}
+
+// Performances grouped by date, cancelled ones struck through
+function renderUpcomingPerformances(performances) {
+  if (!performances.length) {
+    return '<p class="empty-state">No performances in the next four weeks.</p>';
+  }
+  const byDate = new Map();
+  performances.forEach(perf => {
+    if (!byDate.has(perf.date)) byDate.set(perf.date, []);
+    byDate.get(perf.date).push(perf);
+  });
+  return `<ul class="performance-list">${[...byDate].map(([date, perfs]) => {
+    const label = new Date(date + 'T00:00:00Z').toLocaleDateString('en-GB', {
+      weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC',
+    });
+    const times = perfs.map(perf => {
+      const cls = perf.status === 'cancelled' ? ' cancelled' : (perf.status !== 'scheduled' ? ' changed' : '');
+      const title = perf.note ? ` title="${escapeHtml(perf.note)}"` : '';
+      const ends = perf.end_time ? `–${formatShowTime(perf.end_time)}` : '';
+      const time = perf.time ? formatShowTime(perf.time) : (perf.slot === 'matinee' ? 'Matinee' : 'Evening');
+      return `<span class="show-time${cls}"${title}>${time}${ends}</span>`;
+    }).join('');
+    const notes = perfs.filter(perf => perf.note).map(perf => escapeHtml(perf.note)).join('; ');
+    return `<li><span class="performance-date">${label}</span>${times}${notes ? `<span class="performance-note">${notes}</span>` : ''}</li>`;
+  }).join('')}</ul>`;
+}
+
+function renderRunSection(title, runs, today, options) {
+  if (!runs.length) return '';
+  return `
+    <section class="section">
+      <h2 class="section-title">
+        <span>${title}</span>
+        <span class="section-count">${runs.length} ${runs.length === 1 ? 'show' : 'shows'}</span>
+      </h2>
+      <div class="cards-grid">${runs.map(m => renderCard(m, today, options)).join('')}</div>
+    </section>
+  `;
+}
+
+// schema.org has no "ended" status: ended runs stay EventScheduled and their
+// offers are marked Discontinued; single performances carry their own status
+const PERFORMANCE_EVENT_STATUS = {
+  scheduled: 'https://schema.org/EventScheduled',
+  added: 'https://schema.org/EventScheduled',
+  time_changed: 'https://schema.org/EventRescheduled',
+  cancelled: 'https://schema.org/EventCancelled',
+};
+
+// schema.org TheaterEvent for a run, pointing at its show page
+function buildRunJsonLd(run, origin, today) {
+  const ended = !!run.end_date && run.end_date < today;
+  const offers = [
+    { name: 'Tickets', price: run.price_from, url: run.ticket_url },
+    { name: 'Rush tickets', price: run.rush_price, url: run.rush_url },
+    { name: 'Lottery', price: run.lottery_price, url: run.lottery_url },
+  ].filter(offer => offer.url || offer.price != null).map(offer => ({
+    '@type': 'Offer',
+    name: offer.name,
+    price: offer.price ?? undefined,
+    priceCurrency: offer.price != null ? 'GBP' : undefined,
+    url: offer.url || undefined,
+    availability: ended ? 'https://schema.org/Discontinued' : 'https://schema.org/InStock',
+  }));
+
+  const location = { '@type': 'Place', name: run.venue_name };
+  if (run.venue_slug) location.url = `${origin}/venues/${encodeURIComponent(run.venue_slug)}`;
+  if (run.venue_address || run.venue_postcode) {
+    location.address = {
+      '@type': 'PostalAddress',
+      streetAddress: run.venue_address || undefined,
+      postalCode: run.venue_postcode || undefined,
+      addressLocality: 'London',
+      addressCountry: 'GB',
+    };
+  }
+  if (run.venue_latitude != null && run.venue_longitude != null) {
+    location.geo = { '@type': 'GeoCoordinates', latitude: run.venue_latitude, longitude: run.venue_longitude };
+  }
+
+  return {
+    '@type': 'TheaterEvent',
+    name: run.title,
+    description: run.description || undefined,
+    url: run.run_id ? `${origin}/shows/${encodeURIComponent(run.run_id)}` : undefined,
+    image: run.production_image_url || undefined,
+    startDate: run.start_date,
+    endDate: run.end_date || undefined,
+    duration: run.running_time_minutes
+      ? `PT${Math.floor(run.running_time_minutes / 60)}H${run.running_time_minutes % 60}M`
+      : undefined,
+    eventStatus: 'https://schema.org/EventScheduled',
+    eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+    location,
+    offers: offers.length ? offers : undefined,
+  };
+}
+
+// JSON-LD script tag, safe to inline in HTML
+function renderJsonLd(data) {
+  const json = JSON.stringify({ '@context': 'https://schema.org', ...data }).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+// Canonical link plus Open Graph and Twitter card tags
+function renderSocialMeta({ title, description, url, image }) {
+  const text = description.length > 200 ? description.slice(0, 197).trimEnd() + '...' : description;
+  return [
+    url ? `<link rel="canonical" href="${escapeHtml(url)}">` : '',
+    '<meta property="og:site_name" content="London Musicals">',
+    '<meta property="og:type" content="website">',
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(text)}">`,
+    url ? `<meta property="og:url" content="${escapeHtml(url)}">` : '',
+    image ? `<meta property="og:image" content="${escapeHtml(image)}">` : '',
+    `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+    `<meta name="twitter:description" content="${escapeHtml(text)}">`,
+    image ? `<meta name="twitter:image" content="${escapeHtml(image)}">` : '',
+  ].filter(Boolean).join('\n  ');
+}
+
 function escapeHtml(text) {
   if (!text) return '';
   return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
@@ -472,6 +3522,8 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
       outline: none;
       border-color: #e94560;
     }
+    input.field-error, select.field-error, textarea.field-error { border-color: #dc2626; }
+    .schedule-grid.field-error { outline: 1px solid #dc2626; }
     textarea { resize: vertical; min-height: 80px; }
     .schedule-grid { background: #0f3460; border-radius: 8px; padding: 15px; margin-top: 8px; }
     .schedule-header, .schedule-row { display: grid; grid-template-columns: 70px repeat(7, 1fr); gap: 8px; align-items: center; }
@@ -489,6 +3541,11 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
       width: 100%;
     }
     .schedule-row input[type="time"]::-webkit-calendar-picker-indicator { filter: invert(1); }
+    .exceptions { margin-top: 15px; padding-top: 15px; border-top: 1px solid #333; }
+    .exceptions-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px; font-size: 0.85rem; color: #aaa; }
+    .exception-row { display: grid; grid-template-columns: 150px 110px 130px 100px 1fr 36px; gap: 8px; margin-bottom: 8px; }
+    .exception-row input, .exception-row select { padding: 4px 6px; background: #1a1a2e; font-size: 0.8rem; }
+    .exception-row input::-webkit-calendar-picker-indicator { filter: invert(1); }
     .btn-row { display: flex; gap: 10px; margin-top: 15px; }
     .btn {
       padding: 12px 24px;
@@ -542,6 +3599,28 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
     .badge-drama-school { background: #06b6d4; }
     .badge-active { background: #22c55e; }
     .badge-ended { background: #6b7280; }
+    .badge-stale { background: #d97706; }
+    .health-check-title { font-size: 1rem; margin: 20px 0 10px; }
+    .badge-error { background: #dc2626; }
+    .badge-insert { background: #22c55e; }
+    .badge-update { background: #d97706; }
+    .badge-unchanged { background: #6b7280; }
+    .import-summary { font-size: 0.9rem; color: #aaa; margin-bottom: 10px; }
+    .import-preview { margin-bottom: 15px; }
+    .import-preview td { vertical-align: top; font-size: 0.85rem; }
+    .import-meta { color: #888; font-size: 0.8rem; }
+    .import-error { color: #f87171; }
+    .import-option { display: block; font-size: 0.85rem; color: #ccc; margin-bottom: 10px; }
+    .history-panel { margin-top: 20px; padding-top: 15px; border-top: 1px solid #333; }
+    .history-panel h3 { font-size: 1rem; color: #aaa; margin-bottom: 10px; }
+    .history-entry { padding: 8px 0; border-bottom: 1px solid #2a2a4a; font-size: 0.85rem; }
+    .history-changes { list-style: none; margin: 6px 0 0 10px; color: #ccc; }
+    .history-changes del { color: #f87171; }
+    .history-changes ins { color: #4ade80; text-decoration: none; }
+    .import-change { margin-bottom: 4px; word-break: break-word; }
+    .import-change del { color: #888; }
+    .import-mapping { display: flex; flex-wrap: wrap; gap: 8px 16px; align-items: center; font-size: 0.8rem; color: #aaa; margin-bottom: 12px; }
+    .import-mapping select { padding: 4px 6px; font-size: 0.8rem; }
     .actions { display: flex; gap: 8px; }
     .btn-sm {
       padding: 6px 12px;
@@ -581,6 +3660,12 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
             <label for="title">Title *</label>
             <input type="text" id="title" required>
           </div>
+          <div class="form-group">
+            <label for="production_id">Production</label>
+            <select id="production_id">
+              <option value="">+ New production (from title)</option>
+            </select>
+          </div>
           <div class="form-group">
             <label for="type">Type *</label>
             <select id="type" required>
@@ -589,6 +3674,12 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
               <option value="Drama School">Drama School</option>
             </select>
           </div>
+          <div class="form-group">
+            <label for="venue_id">Venue</label>
+            <select id="venue_id">
+              <option value="">+ New venue (enter name below)</option>
+            </select>
+          </div>
           <div class="form-group">
             <label for="venue_name">Venue Name *</label>
             <input type="text" id="venue_name" required>
@@ -614,94 +3705,348 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
             <input type="url" id="ticket_url">
           </div>
           <div class="form-group">
-            <label for="lottery_url">Lottery URL</label>
-            <input type="url" id="lottery_url">
+            <label for="lottery_url">Lottery URL</label>
+            <input type="url" id="lottery_url">
+          </div>
+          <div class="form-group">
+            <label for="lottery_price">Lottery Price (£)</label>
+            <input type="number" id="lottery_price" step="0.01" min="0">
+          </div>
+          <div class="form-group">
+            <label for="rush_url">Rush URL</label>
+            <input type="url" id="rush_url">
+          </div>
+          <div class="form-group">
+            <label for="rush_price">Rush Price (£)</label>
+            <input type="number" id="rush_price" step="0.01" min="0">
+          </div>
+          <div class="form-group">
+            <label for="running_time_minutes">Running Time (minutes)</label>
+            <input type="number" id="running_time_minutes" step="1" min="1" max="600" placeholder="150">
+          </div>
+          <div class="form-group">
+            <label for="interval_count">Intervals</label>
+            <input type="number" id="interval_count" step="1" min="0" max="5" placeholder="1">
+          </div>
+          <div class="form-group full">
+            <label for="description">Description</label>
+            <textarea id="description"></textarea>
+          </div>
+          <div class="form-group full">
+            <label>Weekly Schedule <small style="color:#888">(enter show times, leave empty if no performance)</small></label>
+            <div class="schedule-grid">
+              <div class="schedule-header">
+                <span></span>
+                <span>Mon</span><span>Tue</span><span>Wed</span><span>Thu</span><span>Fri</span><span>Sat</span><span>Sun</span>
+              </div>
+              <div class="schedule-row">
+                <span>Matinee</span>
+                <input type="time" id="sch_mon_m"><input type="time" id="sch_tue_m"><input type="time" id="sch_wed_m">
+                <input type="time" id="sch_thu_m"><input type="time" id="sch_fri_m"><input type="time" id="sch_sat_m"><input type="time" id="sch_sun_m">
+              </div>
+              <div class="schedule-row">
+                <span>Evening</span>
+                <input type="time" id="sch_mon_e"><input type="time" id="sch_tue_e"><input type="time" id="sch_wed_e">
+                <input type="time" id="sch_thu_e"><input type="time" id="sch_fri_e"><input type="time" id="sch_sat_e"><input type="time" id="sch_sun_e">
+              </div>
+              <div class="exceptions">
+                <div class="exceptions-header">
+                  <span>Exceptions <small style="color:#888">(Christmas schedules, cancellations, extra matinees, previews, press nights)</small></span>
+                  <button type="button" class="btn btn-secondary btn-sm" onclick="addExceptionRow()">+ Add Exception</button>
+                </div>
+                <div id="exceptionsList"></div>
+              </div>
+            </div>
+          </div>
+        </div>
+        <div class="btn-row">
+          <button type="submit" class="btn btn-primary" id="submitBtn">Add Musical</button>
+          <button type="button" class="btn btn-secondary" onclick="resetForm()">Cancel</button>
+        </div>
+      </form>
+      <div class="history-panel" id="historyPanel" hidden></div>
+    </div>
+
+    <div class="form-section">
+      <h2>Import from CSV</h2>
+      <p style="color:#888;margin-bottom:15px;font-size:0.9rem;">
+        CSV columns: title, venue_name, venue_address, type, start_date, end_date, description, ticket_url, price_from, schedule, lottery_url, lottery_price, rush_url, rush_price, running_time_minutes, interval_count, production_slug
+        <br>Comma- or semicolon-separated (as Excel saves it). Other header names are matched where possible and can be remapped in the preview.
+        <br>Rows are linked to a production by <code>production_slug</code>, or by title when it is empty.
+      </p>
+      <div class="form-grid">
+        <div class="form-group full">
+          <label for="csvFile">Select CSV File</label>
+          <input type="file" id="csvFile" accept=".csv" style="padding:10px;background:#0f3460;border:1px solid #333;border-radius:6px;">
+        </div>
+      </div>
+      <div class="btn-row">
+        <button type="button" class="btn btn-primary" id="importBtn">Preview Import</button>
+        <button type="button" class="btn btn-secondary" id="downloadTemplate">Download Template</button>
+        <button type="button" class="btn btn-secondary" id="exportBtn">Export Data</button>
+        <button type="button" class="btn btn-danger" id="deleteAllBtn">Delete All</button>
+      </div>
+      <div id="importResult" style="margin-top:15px;"></div>
+    </div>
+
+    <div class="form-section">
+      <h2>Import Show Times</h2>
+      <p style="color:#888;margin-bottom:15px;font-size:0.9rem;">
+        A markdown table in the <code>show-times.md</code> format: a <code>Show Venue | Monday | ... | Sunday</code> header,
+        then one row per show with times like <code>2.30pm 7.30pm</code> and <code>X</code> for no performance.
+        <br>Each row is matched to a current run by title and venue; check the matches before applying.
+      </p>
+      <div class="form-grid">
+        <div class="form-group full">
+          <label for="showTimesFile">Markdown File</label>
+          <input type="file" id="showTimesFile" accept=".md,.txt" style="padding:10px;background:#0f3460;border:1px solid #333;border-radius:6px;">
+        </div>
+        <div class="form-group full">
+          <label for="showTimesText">Or paste the table</label>
+          <textarea id="showTimesText" placeholder="| Show Venue | Monday | Tuesday | Wednesday | Thursday | Friday | Saturday | Sunday |"></textarea>
+        </div>
+      </div>
+      <div class="btn-row">
+        <button type="button" class="btn btn-primary" id="previewShowTimesBtn">Preview Matches</button>
+      </div>
+      <div id="showTimesResult" style="margin-top:15px;"></div>
+    </div>
+
+    <div class="form-section">
+      <h2>Undo &amp; Restore</h2>
+      <p style="color:#888;margin-bottom:15px;font-size:0.9rem;">
+        Undo a recent change (an import, a Delete All, an edit) or put every run back as it was at a point in time.
+        Runs can also be reverted one at a time from the History panel when editing.
+        <br>Each restore is previewed first, and is logged itself so it can be undone too.
+      </p>
+      <div class="form-grid">
+        <div class="form-group">
+          <label for="restoreAt">Restore all runs to</label>
+          <input type="datetime-local" id="restoreAt">
+        </div>
+      </div>
+      <div class="btn-row">
+        <button type="button" class="btn btn-primary" id="previewRestoreAtBtn">Preview Restore</button>
+      </div>
+      <h3 class="health-check-title">Recent changes</h3>
+      <table>
+        <thead>
+          <tr><th>When (UTC)</th><th>Who</th><th>Change</th><th>Records</th><th></th></tr>
+        </thead>
+        <tbody id="restoreBatchesBody"></tbody>
+      </table>
+      <div id="restoreResult" style="margin-top:15px;"></div>
+    </div>
+
+    <div class="form-section">
+      <h2>Database Migrations</h2>
+      <p style="color:#888;margin-bottom:15px;font-size:0.9rem;" id="migrationSummary">Loading migration status...</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>Name</th>
+            <th>Status</th>
+            <th>Applied At</th>
+          </tr>
+        </thead>
+        <tbody id="migrationsBody"></tbody>
+      </table>
+      <div class="btn-row">
+        <button type="button" class="btn btn-primary" id="applyMigrationsBtn" style="background:#8b5cf6;">Apply Pending Migrations</button>
+      </div>
+    </div>
+
+    <div class="form-section">
+      <div class="table-header">
+        <h2>Data Health</h2>
+        <button type="button" class="btn btn-secondary btn-sm" id="refreshHealthBtn">Refresh</button>
+      </div>
+      <p style="color:#888;margin-bottom:15px;font-size:0.9rem;" id="healthSummary">Running checks...</p>
+      <div id="healthChecks"></div>
+    </div>
+
+    <div class="form-section">
+      <h2>Daily Jobs</h2>
+      <p style="color:#888;margin-bottom:15px;font-size:0.9rem;" id="jobsSummary">Loading job history...</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Started</th>
+            <th>Job</th>
+            <th>Trigger</th>
+            <th>Duration</th>
+            <th>Status</th>
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody id="jobRunsBody"></tbody>
+      </table>
+      <div class="btn-row">
+        <button type="button" class="btn btn-primary" id="runJobsBtn" style="background:#8b5cf6;">Run Jobs Now</button>
+      </div>
+    </div>
+
+    <div class="table-section">
+      <div class="table-header">
+        <h2>All Musicals (<span id="totalCount">0</span>)</h2>
+        <input type="text" class="search-box" placeholder="Search..." id="searchBox">
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th class="sortable" data-sort="title">Title <span class="sort-icon"></span></th>
+            <th class="sortable" data-sort="type">Type <span class="sort-icon"></span></th>
+            <th class="sortable" data-sort="venue_name">Venue <span class="sort-icon"></span></th>
+            <th class="sortable" data-sort="start_date">Start Date <span class="sort-icon"></span></th>
+            <th class="sortable" data-sort="end_date">End Date <span class="sort-icon"></span></th>
+            <th class="sortable" data-sort="status">Status <span class="sort-icon"></span></th>
+            <th title="Tickets">🎟️</th>
+            <th title="Lottery">🎲</th>
+            <th title="Rush">⚡</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody id="tableBody"></tbody>
+      </table>
+    </div>
+
+    <div class="table-section" style="margin-top:30px;">
+      <div class="table-header">
+        <h2>Trash (<span id="trashCount">0</span>)</h2>
+        <button type="button" class="btn btn-danger btn-sm" id="emptyTrashBtn">Empty Trash</button>
+      </div>
+      <p style="color:#888;padding:15px 20px 0;font-size:0.9rem;" id="trashSummary">Loading...</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Title</th>
+            <th>Venue</th>
+            <th>Start Date</th>
+            <th>Deleted (UTC)</th>
+            <th>Purged On</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody id="trashBody"></tbody>
+      </table>
+    </div>
+
+    <div class="form-section" style="margin-top:30px;">
+      <h2 id="venueFormTitle">Add New Venue</h2>
+      <form id="venueForm">
+        <input type="hidden" id="venueEditId">
+        <div class="form-grid">
+          <div class="form-group">
+            <label for="v_name">Name *</label>
+            <input type="text" id="v_name" required>
+          </div>
+          <div class="form-group">
+            <label for="v_address">Address</label>
+            <input type="text" id="v_address">
+          </div>
+          <div class="form-group">
+            <label for="v_postcode">Postcode <small style="color:#888">(detected from address if empty)</small></label>
+            <input type="text" id="v_postcode">
+          </div>
+          <div class="form-group">
+            <label for="v_capacity">Capacity</label>
+            <input type="number" id="v_capacity" step="1" min="0">
+          </div>
+          <div class="form-group">
+            <label for="v_latitude">Latitude</label>
+            <input type="number" id="v_latitude" step="any">
+          </div>
+          <div class="form-group">
+            <label for="v_longitude">Longitude</label>
+            <input type="number" id="v_longitude" step="any">
+          </div>
+          <div class="form-group full">
+            <label for="v_aliases">Aliases <small style="color:#888">(comma-separated, e.g. Kit Kat Club at the Playhouse)</small></label>
+            <input type="text" id="v_aliases">
+          </div>
+          <div class="form-group full">
+            <label for="v_access_info">Access Information</label>
+            <textarea id="v_access_info"></textarea>
+          </div>
+        </div>
+        <div class="btn-row">
+          <button type="submit" class="btn btn-primary" id="venueSubmitBtn">Add Venue</button>
+          <button type="button" class="btn btn-secondary" onclick="resetVenueForm()">Cancel</button>
+        </div>
+      </form>
+    </div>
+
+    <div class="table-section">
+      <div class="table-header">
+        <h2>Venues (<span id="venueCount">0</span>)</h2>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Postcode</th>
+            <th>Capacity</th>
+            <th>Aliases</th>
+            <th>Runs</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody id="venuesBody"></tbody>
+      </table>
+    </div>
+
+    <div class="form-section" style="margin-top:30px;">
+      <h2 id="productionFormTitle">Add New Production</h2>
+      <form id="productionForm">
+        <input type="hidden" id="productionEditId">
+        <div class="form-grid">
+          <div class="form-group">
+            <label for="p_title">Title *</label>
+            <input type="text" id="p_title" required>
           </div>
           <div class="form-group">
-            <label for="lottery_price">Lottery Price (£)</label>
-            <input type="number" id="lottery_price" step="0.01" min="0">
+            <label for="p_slug">Slug <small style="color:#888">(URL, generated from title if empty)</small></label>
+            <input type="text" id="p_slug">
           </div>
           <div class="form-group">
-            <label for="rush_url">Rush URL</label>
-            <input type="url" id="rush_url">
+            <label for="p_genre">Genre</label>
+            <input type="text" id="p_genre" placeholder="Jukebox musical">
           </div>
           <div class="form-group">
-            <label for="rush_price">Rush Price (£)</label>
-            <input type="number" id="rush_price" step="0.01" min="0">
+            <label for="p_image_url">Image URL</label>
+            <input type="url" id="p_image_url">
           </div>
           <div class="form-group full">
-            <label for="description">Description</label>
-            <textarea id="description"></textarea>
+            <label for="p_synopsis">Synopsis</label>
+            <textarea id="p_synopsis"></textarea>
           </div>
           <div class="form-group full">
-            <label>Weekly Schedule <small style="color:#888">(enter show times, leave empty if no performance)</small></label>
-            <div class="schedule-grid">
-              <div class="schedule-header">
-                <span></span>
-                <span>Mon</span><span>Tue</span><span>Wed</span><span>Thu</span><span>Fri</span><span>Sat</span><span>Sun</span>
-              </div>
-              <div class="schedule-row">
-                <span>Matinee</span>
-                <input type="time" id="sch_mon_m"><input type="time" id="sch_tue_m"><input type="time" id="sch_wed_m">
-                <input type="time" id="sch_thu_m"><input type="time" id="sch_fri_m"><input type="time" id="sch_sat_m"><input type="time" id="sch_sun_m">
-              </div>
-              <div class="schedule-row">
-                <span>Evening</span>
-                <input type="time" id="sch_mon_e"><input type="time" id="sch_tue_e"><input type="time" id="sch_wed_e">
-                <input type="time" id="sch_thu_e"><input type="time" id="sch_fri_e"><input type="time" id="sch_sat_e"><input type="time" id="sch_sun_e">
-              </div>
-            </div>
+            <label for="p_creative_team">Creative Team <small style="color:#888">(one "Role: Name" per line)</small></label>
+            <textarea id="p_creative_team" placeholder="Music &amp; Lyrics: Stephen Sondheim"></textarea>
           </div>
         </div>
         <div class="btn-row">
-          <button type="submit" class="btn btn-primary" id="submitBtn">Add Musical</button>
-          <button type="button" class="btn btn-secondary" onclick="resetForm()">Cancel</button>
+          <button type="submit" class="btn btn-primary" id="productionSubmitBtn">Add Production</button>
+          <button type="button" class="btn btn-secondary" onclick="resetProductionForm()">Cancel</button>
         </div>
       </form>
     </div>
 
-    <div class="form-section">
-      <h2>Import from CSV</h2>
-      <p style="color:#888;margin-bottom:15px;font-size:0.9rem;">
-        CSV columns: title, venue_name, venue_address, type, start_date, end_date, description, ticket_url, price_from
-      </p>
-      <div class="form-grid">
-        <div class="form-group full">
-          <label for="csvFile">Select CSV File</label>
-          <input type="file" id="csvFile" accept=".csv" style="padding:10px;background:#0f3460;border:1px solid #333;border-radius:6px;">
-        </div>
-      </div>
-      <div class="btn-row">
-        <button type="button" class="btn btn-primary" id="importBtn">Import CSV</button>
-        <button type="button" class="btn btn-secondary" id="downloadTemplate">Download Template</button>
-        <button type="button" class="btn btn-secondary" id="exportBtn">Export Data</button>
-        <button type="button" class="btn btn-secondary" id="migrateBtn" style="background:#8b5cf6;">Migrate Run IDs</button>
-        <button type="button" class="btn btn-danger" id="deleteAllBtn">Delete All</button>
-      </div>
-      <div id="importResult" style="margin-top:15px;"></div>
-    </div>
-
     <div class="table-section">
       <div class="table-header">
-        <h2>All Musicals (<span id="totalCount">0</span>)</h2>
-        <input type="text" class="search-box" placeholder="Search..." id="searchBox">
+        <h2>Productions (<span id="productionCount">0</span>)</h2>
       </div>
       <table>
         <thead>
           <tr>
-            <th class="sortable" data-sort="title">Title <span class="sort-icon"></span></th>
-            <th class="sortable" data-sort="type">Type <span class="sort-icon"></span></th>
-            <th class="sortable" data-sort="venue_name">Venue <span class="sort-icon"></span></th>
-            <th class="sortable" data-sort="start_date">Start Date <span class="sort-icon"></span></th>
-            <th class="sortable" data-sort="end_date">End Date <span class="sort-icon"></span></th>
-            <th class="sortable" data-sort="status">Status <span class="sort-icon"></span></th>
-            <th title="Tickets">🎟️</th>
-            <th title="Lottery">🎲</th>
-            <th title="Rush">⚡</th>
+            <th>Title</th>
+            <th>Genre</th>
+            <th>Runs</th>
             <th>Actions</th>
           </tr>
         </thead>
-        <tbody id="tableBody"></tbody>
+        <tbody id="productionsBody"></tbody>
       </table>
     </div>
   </div>
@@ -710,11 +4055,14 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
 
   <script>
     let musicals = {{MUSICALS_JSON}};
+    let venues = {{VENUES_JSON}};
+    let productions = {{PRODUCTIONS_JSON}};
     const today = new Date().toISOString().split('T')[0];
     let sortColumn = 'title';
     let sortDirection = 'asc';
 
     function getStatus(m) {
+      if (m.status === 'archived') return 'Archived';
       return m.start_date <= today && (!m.end_date || m.end_date >= today) ? 'Active' : 'Ended';
     }
 
@@ -758,7 +4106,7 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
 
       document.getElementById('totalCount').textContent = musicals.length;
       document.getElementById('tableBody').innerHTML = filtered.map(m => {
-        const isActive = getStatus(m) === 'Active';
+        const status = getStatus(m);
         const typeClass = m.type.toLowerCase().replace(/ /g, '-');
 
         return \`
@@ -768,7 +4116,10 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
             <td>\${escapeHtml(m.venue_name)}</td>
             <td>\${m.start_date}</td>
             <td>\${m.end_date || 'Open Run'}</td>
-            <td><span class="badge \${isActive ? 'badge-active' : 'badge-ended'}">\${isActive ? 'Active' : 'Ended'}</span></td>
+            <td>
+              <span class="badge \${status === 'Active' ? 'badge-active' : 'badge-ended'}">\${status}</span>
+              \${m.flagged_stale_at ? '<span class="badge badge-stale" title="Not updated in ${STALE_DAYS} days">Stale</span>' : ''}
+            </td>
             <td>\${m.ticket_url ? '<a href="' + escapeHtml(m.ticket_url) + '" target="_blank">URL</a>' : '-'}</td>
             <td>\${m.lottery_url ? '<a href="' + escapeHtml(m.lottery_url) + '" target="_blank">URL</a>' : '-'}</td>
             <td>\${m.rush_url ? '<a href="' + escapeHtml(m.rush_url) + '" target="_blank">URL</a>' : '-'}</td>
@@ -829,21 +4180,136 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
       } catch (e) {}
     }
 
+    // Performance exceptions (one-off changes to the weekly schedule)
+    function addExceptionRow(e = {}) {
+      const row = document.createElement('div');
+      row.className = 'exception-row';
+      row.innerHTML = \`
+        <input type="date" class="exc-date" value="\${e.date || ''}">
+        <select class="exc-slot">
+          <option value="m">Matinee</option>
+          <option value="e">Evening</option>
+        </select>
+        <select class="exc-change">
+          <option value="cancelled">Cancelled</option>
+          <option value="added">Added</option>
+          <option value="time_changed">Time changed</option>
+        </select>
+        <input type="time" class="exc-time" value="\${e.time || ''}">
+        <input type="text" class="exc-note" placeholder="Note (e.g. Press night)">
+        <button type="button" class="btn btn-danger btn-sm" title="Remove">×</button>
+      \`;
+      row.querySelector('.exc-note').value = e.note || '';
+      row.querySelector('.exc-slot').value = e.slot || 'e';
+      row.querySelector('.exc-change').value = e.change_type || 'cancelled';
+      row.querySelector('button').addEventListener('click', () => row.remove());
+      document.getElementById('exceptionsList').appendChild(row);
+    }
+
+    function getExceptionsFromForm() {
+      return [...document.querySelectorAll('#exceptionsList .exception-row')].map(row => ({
+        date: row.querySelector('.exc-date').value,
+        slot: row.querySelector('.exc-slot').value,
+        change_type: row.querySelector('.exc-change').value,
+        time: row.querySelector('.exc-time').value || null,
+        note: row.querySelector('.exc-note').value || null,
+      })).filter(e => e.date);
+    }
+
+    function setExceptionsToForm(list) {
+      document.getElementById('exceptionsList').innerHTML = '';
+      (list || []).forEach(addExceptionRow);
+    }
+
+    // Outline the inputs named in a 400 response's field errors; the message
+    // shows as a tooltip. Called with no argument to clear them.
+    function showFieldErrors(errors) {
+      document.querySelectorAll('.field-error').forEach(el => {
+        el.classList.remove('field-error');
+        el.removeAttribute('title');
+      });
+      Object.entries(errors || {}).forEach(([field, message]) => {
+        const el = field === 'schedule'
+          ? document.querySelector('.schedule-grid')
+          : document.getElementById(field);
+        if (!el) return;
+        el.classList.add('field-error');
+        el.title = message;
+      });
+    }
+
     function resetForm() {
+      showFieldErrors();
       document.getElementById('musicalForm').reset();
       document.getElementById('editId').value = '';
       document.getElementById('formTitle').textContent = 'Add New Musical';
       document.getElementById('submitBtn').textContent = 'Add Musical';
       setScheduleToForm(null);
+      setExceptionsToForm([]);
+      document.getElementById('historyPanel').hidden = true;
+    }
+
+    const AUDIT_BADGES = { create: 'badge-insert', import: 'badge-update', update: 'badge-update', delete: 'badge-error', delete_all: 'badge-error' };
+
+    function formatAuditValue(field, value) {
+      if (value === null || value === undefined || value === '') return '(empty)';
+      if (field === 'exceptions') return value.length + ' exception' + (value.length === 1 ? '' : 's');
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return text.length > 80 ? text.slice(0, 77) + '...' : text;
+    }
+
+    function renderHistoryEntry(entry) {
+      let changes;
+      if (!entry.before) changes = '<li>Created</li>';
+      else if (!entry.after) changes = '<li>Deleted</li>';
+      else if (!entry.changes.length) changes = '<li class="import-meta">No field changes</li>';
+      else changes = entry.changes.map(c => '<li>' + escapeHtml(c.field) + ': <del>' + escapeHtml(formatAuditValue(c.field, c.from)) +
+        '</del> → <ins>' + escapeHtml(formatAuditValue(c.field, c.to)) + '</ins></li>').join('');
+      return '<div class="history-entry">' +
+        '<span class="badge ' + (AUDIT_BADGES[entry.action] || '') + '">' + escapeHtml(entry.action.replace('_', ' ')) + '</span> ' +
+        escapeHtml(entry.created_at) + ' UTC · ' + escapeHtml(entry.actor) +
+        ' <span class="import-meta">' + escapeHtml(entry.route) + '</span>' +
+        (entry.after ? ' <button type="button" class="btn btn-secondary btn-sm" onclick="previewRestore({ audit_id: ' + entry.id +
+          ' }, \\'Revert this run to the version saved at ' + escapeHtml(entry.created_at) + ' UTC\\')">Revert to this</button>' : '') +
+        '<ul class="history-changes">' + changes + '</ul></div>';
+    }
+
+    // History panel under the edit form: the run's audit entries, newest first
+    async function loadHistory(id, before) {
+      const panel = document.getElementById('historyPanel');
+      if (!before) {
+        panel.hidden = false;
+        panel.innerHTML = '<h3>History</h3><p class="import-meta">Loading...</p>';
+      }
+      try {
+        const res = await fetch('/admin/api/audit?entity=musical&id=' + id + (before ? '&before=' + before : ''));
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Failed to load history');
+        if (document.getElementById('editId').value !== String(id)) return;
+
+        if (!before) panel.innerHTML = '<h3>History</h3><div class="history-list"></div>';
+        const more = panel.querySelector('.history-more');
+        if (more) more.remove();
+        panel.querySelector('.history-list').insertAdjacentHTML('beforeend', result.entries.map(renderHistoryEntry).join('') ||
+          '<p class="import-meta">No recorded changes yet</p>');
+        if (result.next_before) {
+          panel.insertAdjacentHTML('beforeend', '<button type="button" class="btn btn-secondary btn-sm history-more" onclick="loadHistory(' +
+            id + ', ' + result.next_before + ')">Show older changes</button>');
+        }
+      } catch (err) {
+        panel.innerHTML = '<h3>History</h3><p class="import-error">' + escapeHtml(err.message) + '</p>';
+      }
     }
 
-    function editMusical(id) {
+    async function editMusical(id) {
       const m = musicals.find(x => x.id === id);
       if (!m) return;
 
       document.getElementById('editId').value = m.id;
       document.getElementById('title').value = m.title;
+      document.getElementById('production_id').value = m.production_id || '';
       document.getElementById('type').value = m.type;
+      document.getElementById('venue_id').value = m.venue_id || '';
       document.getElementById('venue_name').value = m.venue_name;
       document.getElementById('venue_address').value = m.venue_address || '';
       document.getElementById('start_date').value = m.start_date;
@@ -854,16 +4320,27 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
       document.getElementById('lottery_price').value = m.lottery_price || '';
       document.getElementById('rush_url').value = m.rush_url || '';
       document.getElementById('rush_price').value = m.rush_price || '';
+      document.getElementById('running_time_minutes').value = m.running_time_minutes || '';
+      document.getElementById('interval_count').value = m.interval_count ?? '';
       document.getElementById('description').value = m.description || '';
       setScheduleToForm(m.schedule);
+      setExceptionsToForm([]);
 
       document.getElementById('formTitle').textContent = 'Edit Musical';
       document.getElementById('submitBtn').textContent = 'Update Musical';
       window.scrollTo({ top: 0, behavior: 'smooth' });
+      loadHistory(m.id);
+
+      try {
+        const res = await fetch('/admin/api/musicals/' + id + '/exceptions');
+        if (res.ok) setExceptionsToForm(await res.json());
+      } catch (err) {
+        showToast('Could not load schedule exceptions', 'error');
+      }
     }
 
     async function deleteMusical(id) {
-      if (!confirm('Are you sure you want to delete this musical?')) return;
+      if (!confirm('Move this musical to the Trash?')) return;
 
       try {
         const res = await fetch('/admin/api/musicals/' + id, { method: 'DELETE' });
@@ -871,12 +4348,93 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
 
         musicals = musicals.filter(m => m.id !== id);
         render(document.getElementById('searchBox').value);
-        showToast('Musical deleted successfully');
+        loadTrash();
+        showToast('Musical moved to the Trash');
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    }
+
+    async function loadTrash() {
+      try {
+        const res = await fetch('/admin/api/trash');
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Failed to load the Trash');
+        renderTrash(result);
+      } catch (err) {
+        document.getElementById('trashSummary').textContent = 'Failed to load the Trash: ' + err.message;
+      }
+    }
+
+    function renderTrash({ retention_days, runs }) {
+      document.getElementById('trashCount').textContent = runs.length;
+      document.getElementById('emptyTrashBtn').disabled = !runs.length;
+      document.getElementById('trashSummary').textContent =
+        'Deleted musicals are hidden from the site and permanently deleted ' + retention_days + ' days after they were moved here.';
+      document.getElementById('trashBody').innerHTML = runs.map(m => {
+        const purgeDate = new Date(m.deleted_at.replace(' ', 'T') + 'Z');
+        purgeDate.setUTCDate(purgeDate.getUTCDate() + retention_days);
+        return \`
+          <tr>
+            <td><strong>\${escapeHtml(m.title)}</strong></td>
+            <td>\${escapeHtml(m.venue_name)}</td>
+            <td>\${m.start_date}</td>
+            <td>\${m.deleted_at}</td>
+            <td>\${purgeDate.toISOString().split('T')[0]}</td>
+            <td class="actions">
+              <button class="btn btn-secondary btn-sm" onclick="restoreFromTrash(\${m.id})">Restore</button>
+              <button class="btn btn-danger btn-sm" onclick="purgeFromTrash(\${m.id})">Delete Forever</button>
+            </td>
+          </tr>
+        \`;
+      }).join('') || '<tr><td colspan="6" style="color:#888;">The Trash is empty</td></tr>';
+    }
+
+    async function restoreFromTrash(id) {
+      try {
+        const res = await fetch('/admin/api/trash/' + id + '/restore', { method: 'POST' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Failed to restore');
+
+        musicals.push(result);
+        render(document.getElementById('searchBox').value);
+        loadTrash();
+        showToast('Restored ' + result.title);
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    }
+
+    async function purgeFromTrash(id) {
+      if (!confirm('Permanently delete this musical? It can then only be recovered from Undo & Restore.')) return;
+
+      try {
+        const res = await fetch('/admin/api/trash/' + id, { method: 'DELETE' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Failed to delete');
+
+        loadTrash();
+        showToast('Musical permanently deleted');
       } catch (err) {
         showToast('Error: ' + err.message, 'error');
       }
     }
 
+    document.getElementById('emptyTrashBtn').addEventListener('click', async () => {
+      if (!confirm('Permanently delete everything in the Trash?')) return;
+
+      try {
+        const res = await fetch('/admin/api/trash', { method: 'DELETE' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Failed to empty the Trash');
+
+        loadTrash();
+        showToast('Permanently deleted ' + result.purged + ' musicals');
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+
     function normalizeDate(input) {
       if (!input) return null;
       const val = input.trim();
@@ -921,128 +4479,612 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
         return;
       }
 
-      if (!isValidDate(endDate)) {
-        showToast('Invalid end date. Use YYYY-MM-DD or DD/MM/YYYY format.', 'error');
-        endDateInput.focus();
-        return;
+      if (!isValidDate(endDate)) {
+        showToast('Invalid end date. Use YYYY-MM-DD or DD/MM/YYYY format.', 'error');
+        endDateInput.focus();
+        return;
+      }
+
+      // Update the input values with normalized dates
+      if (startDate) startDateInput.value = startDate;
+      if (endDate) endDateInput.value = endDate;
+
+      const editId = document.getElementById('editId').value;
+      const data = {
+        title: document.getElementById('title').value,
+        production_id: document.getElementById('production_id').value ? parseInt(document.getElementById('production_id').value) : null,
+        type: document.getElementById('type').value,
+        venue_id: document.getElementById('venue_id').value ? parseInt(document.getElementById('venue_id').value) : null,
+        venue_name: document.getElementById('venue_name').value,
+        venue_address: document.getElementById('venue_address').value || null,
+        start_date: startDate,
+        end_date: endDate,
+        price_from: document.getElementById('price_from').value ? parseFloat(document.getElementById('price_from').value) : null,
+        ticket_url: document.getElementById('ticket_url').value || null,
+        lottery_url: document.getElementById('lottery_url').value || null,
+        lottery_price: document.getElementById('lottery_price').value ? parseFloat(document.getElementById('lottery_price').value) : null,
+        rush_url: document.getElementById('rush_url').value || null,
+        rush_price: document.getElementById('rush_price').value ? parseFloat(document.getElementById('rush_price').value) : null,
+        running_time_minutes: document.getElementById('running_time_minutes').value ? parseInt(document.getElementById('running_time_minutes').value) : null,
+        interval_count: document.getElementById('interval_count').value !== '' ? parseInt(document.getElementById('interval_count').value) : null,
+        description: document.getElementById('description').value || null,
+        schedule: getScheduleFromForm(),
+        exceptions: getExceptionsFromForm(),
+      };
+
+      try {
+        const url = editId ? '/admin/api/musicals/' + editId : '/admin/api/musicals';
+        const method = editId ? 'PUT' : 'POST';
+
+        const res = await fetch(url, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(data),
+        });
+
+        const saved = await res.json();
+        showFieldErrors(saved.errors);
+        if (!res.ok) throw new Error(saved.error || 'Failed to save');
+
+        if (editId) {
+          const idx = musicals.findIndex(m => m.id === parseInt(editId));
+          musicals[idx] = saved;
+          showToast('Musical updated successfully');
+        } else {
+          musicals.unshift(saved);
+          showToast('Musical added successfully');
+        }
+
+        resetForm();
+        render(document.getElementById('searchBox').value);
+        loadVenues();
+        loadProductions();
+        loadHealthReport();
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+
+    document.getElementById('searchBox').addEventListener('input', (e) => {
+      render(e.target.value);
+    });
+
+    // Sortable column headers
+    document.querySelectorAll('th.sortable').forEach(th => {
+      th.addEventListener('click', () => {
+        const column = th.dataset.sort;
+        if (sortColumn === column) {
+          sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+          sortColumn = column;
+          sortDirection = 'asc';
+        }
+        render(document.getElementById('searchBox').value);
+      });
+    });
+
+    // Venues
+    function renderVenueOptions() {
+      const select = document.getElementById('venue_id');
+      const selected = select.value;
+      select.innerHTML = '<option value="">+ New venue (enter name below)</option>' +
+        venues.map(v => '<option value="' + v.id + '">' + escapeHtml(v.name) + '</option>').join('');
+      select.value = selected;
+    }
+
+    function renderVenues() {
+      document.getElementById('venueCount').textContent = venues.length;
+      document.getElementById('venuesBody').innerHTML = venues.map(v => {
+        const aliases = v.aliases ? JSON.parse(v.aliases) : [];
+        return \`
+          <tr>
+            <td><strong><a href="/venues/\${encodeURIComponent(v.slug)}" target="_blank" style="color:#fff;">\${escapeHtml(v.name)}</a></strong></td>
+            <td>\${escapeHtml(v.postcode) || '-'}</td>
+            <td>\${v.capacity || '-'}</td>
+            <td>\${aliases.length ? escapeHtml(aliases.join(', ')) : '-'}</td>
+            <td>\${v.run_count || 0}</td>
+            <td class="actions">
+              <button class="btn btn-secondary btn-sm" onclick="editVenue(\${v.id})">Edit</button>
+              <button class="btn btn-danger btn-sm" onclick="deleteVenue(\${v.id})">Delete</button>
+            </td>
+          </tr>
+        \`;
+      }).join('');
+      renderVenueOptions();
+    }
+
+    async function loadVenues() {
+      try {
+        const res = await fetch('/admin/api/venues');
+        if (!res.ok) return;
+        venues = await res.json();
+        renderVenues();
+      } catch (err) {}
+    }
+
+    document.getElementById('venue_id').addEventListener('change', (e) => {
+      const v = venues.find(x => x.id === parseInt(e.target.value));
+      if (!v) return;
+      document.getElementById('venue_name').value = v.name;
+      document.getElementById('venue_address').value = v.address || '';
+    });
+
+    function resetVenueForm() {
+      document.getElementById('venueForm').reset();
+      document.getElementById('venueEditId').value = '';
+      document.getElementById('venueFormTitle').textContent = 'Add New Venue';
+      document.getElementById('venueSubmitBtn').textContent = 'Add Venue';
+    }
+
+    function editVenue(id) {
+      const v = venues.find(x => x.id === id);
+      if (!v) return;
+
+      document.getElementById('venueEditId').value = v.id;
+      document.getElementById('v_name').value = v.name;
+      document.getElementById('v_address').value = v.address || '';
+      document.getElementById('v_postcode').value = v.postcode || '';
+      document.getElementById('v_capacity').value = v.capacity || '';
+      document.getElementById('v_latitude').value = v.latitude ?? '';
+      document.getElementById('v_longitude').value = v.longitude ?? '';
+      document.getElementById('v_aliases').value = v.aliases ? JSON.parse(v.aliases).join(', ') : '';
+      document.getElementById('v_access_info').value = v.access_info || '';
+
+      document.getElementById('venueFormTitle').textContent = 'Edit Venue';
+      document.getElementById('venueSubmitBtn').textContent = 'Update Venue';
+      document.getElementById('venueForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async function deleteVenue(id) {
+      if (!confirm('Are you sure you want to delete this venue?')) return;
+
+      try {
+        const res = await fetch('/admin/api/venues/' + id, { method: 'DELETE' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Failed to delete');
+
+        venues = venues.filter(v => v.id !== id);
+        renderVenues();
+        showToast('Venue deleted successfully');
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    }
+
+    document.getElementById('venueForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const editId = document.getElementById('venueEditId').value;
+      const numberOrNull = (id) => document.getElementById(id).value !== '' ? parseFloat(document.getElementById(id).value) : null;
+      const data = {
+        name: document.getElementById('v_name').value,
+        address: document.getElementById('v_address').value || null,
+        postcode: document.getElementById('v_postcode').value || null,
+        capacity: numberOrNull('v_capacity'),
+        latitude: numberOrNull('v_latitude'),
+        longitude: numberOrNull('v_longitude'),
+        aliases: document.getElementById('v_aliases').value,
+        access_info: document.getElementById('v_access_info').value || null,
+      };
+
+      try {
+        const res = await fetch(editId ? '/admin/api/venues/' + editId : '/admin/api/venues', {
+          method: editId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(data),
+        });
+        const saved = await res.json();
+        if (!res.ok) throw new Error(saved.error || 'Failed to save');
+
+        showToast(editId ? 'Venue updated successfully' : 'Venue added successfully');
+        resetVenueForm();
+        await loadVenues();
+        // Renaming a venue updates its runs, so refresh them too
+        if (editId) {
+          const runsRes = await fetch('/admin/api/musicals');
+          musicals = await runsRes.json();
+          render(document.getElementById('searchBox').value);
+        }
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    });
+
+    // Productions
+    function renderProductionOptions() {
+      const select = document.getElementById('production_id');
+      const selected = select.value;
+      select.innerHTML = '<option value="">+ New production (from title)</option>' +
+        productions.map(p => '<option value="' + p.id + '">' + escapeHtml(p.title) + '</option>').join('');
+      select.value = selected;
+    }
+
+    function renderProductions() {
+      document.getElementById('productionCount').textContent = productions.length;
+      document.getElementById('productionsBody').innerHTML = productions.map(p => \`
+        <tr>
+          <td><strong><a href="/productions/\${encodeURIComponent(p.slug)}" target="_blank" style="color:#fff;">\${escapeHtml(p.title)}</a></strong></td>
+          <td>\${escapeHtml(p.genre) || '-'}</td>
+          <td>\${p.run_count || 0}</td>
+          <td class="actions">
+            <button class="btn btn-secondary btn-sm" onclick="editProduction(\${p.id})">Edit</button>
+            <button class="btn btn-danger btn-sm" onclick="deleteProduction(\${p.id})">Delete</button>
+          </td>
+        </tr>
+      \`).join('');
+      renderProductionOptions();
+    }
+
+    async function loadProductions() {
+      try {
+        const res = await fetch('/admin/api/productions');
+        if (!res.ok) return;
+        productions = await res.json();
+        renderProductions();
+      } catch (err) {}
+    }
+
+    document.getElementById('production_id').addEventListener('change', (e) => {
+      const p = productions.find(x => x.id === parseInt(e.target.value));
+      if (p && !document.getElementById('title').value) {
+        document.getElementById('title').value = p.title;
+      }
+    });
+
+    function resetProductionForm() {
+      document.getElementById('productionForm').reset();
+      document.getElementById('productionEditId').value = '';
+      document.getElementById('productionFormTitle').textContent = 'Add New Production';
+      document.getElementById('productionSubmitBtn').textContent = 'Add Production';
+    }
+
+    function editProduction(id) {
+      const p = productions.find(x => x.id === id);
+      if (!p) return;
+
+      const team = p.creative_team ? JSON.parse(p.creative_team) : [];
+      document.getElementById('productionEditId').value = p.id;
+      document.getElementById('p_title').value = p.title;
+      document.getElementById('p_slug').value = p.slug;
+      document.getElementById('p_genre').value = p.genre || '';
+      document.getElementById('p_image_url').value = p.image_url || '';
+      document.getElementById('p_synopsis').value = p.synopsis || '';
+      document.getElementById('p_creative_team').value = team.map(t => (t.role ? t.role + ': ' : '') + t.name).join('\\n');
+
+      document.getElementById('productionFormTitle').textContent = 'Edit Production';
+      document.getElementById('productionSubmitBtn').textContent = 'Update Production';
+      document.getElementById('productionForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async function deleteProduction(id) {
+      if (!confirm('Are you sure you want to delete this production?')) return;
+
+      try {
+        const res = await fetch('/admin/api/productions/' + id, { method: 'DELETE' });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Failed to delete');
+
+        productions = productions.filter(p => p.id !== id);
+        renderProductions();
+        showToast('Production deleted successfully');
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
       }
+    }
 
-      // Update the input values with normalized dates
-      if (startDate) startDateInput.value = startDate;
-      if (endDate) endDateInput.value = endDate;
+    document.getElementById('productionForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
 
-      const editId = document.getElementById('editId').value;
+      const editId = document.getElementById('productionEditId').value;
       const data = {
-        title: document.getElementById('title').value,
-        type: document.getElementById('type').value,
-        venue_name: document.getElementById('venue_name').value,
-        venue_address: document.getElementById('venue_address').value || null,
-        start_date: startDate,
-        end_date: endDate,
-        price_from: document.getElementById('price_from').value ? parseFloat(document.getElementById('price_from').value) : null,
-        ticket_url: document.getElementById('ticket_url').value || null,
-        lottery_url: document.getElementById('lottery_url').value || null,
-        lottery_price: document.getElementById('lottery_price').value ? parseFloat(document.getElementById('lottery_price').value) : null,
-        rush_url: document.getElementById('rush_url').value || null,
-        rush_price: document.getElementById('rush_price').value ? parseFloat(document.getElementById('rush_price').value) : null,
-        description: document.getElementById('description').value || null,
-        schedule: getScheduleFromForm(),
+        title: document.getElementById('p_title').value,
+        slug: document.getElementById('p_slug').value || null,
+        genre: document.getElementById('p_genre').value || null,
+        image_url: document.getElementById('p_image_url').value || null,
+        synopsis: document.getElementById('p_synopsis').value || null,
+        creative_team: document.getElementById('p_creative_team').value,
       };
 
       try {
-        const url = editId ? '/admin/api/musicals/' + editId : '/admin/api/musicals';
-        const method = editId ? 'PUT' : 'POST';
-
-        const res = await fetch(url, {
-          method,
+        const res = await fetch(editId ? '/admin/api/productions/' + editId : '/admin/api/productions', {
+          method: editId ? 'PUT' : 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(data),
         });
-
-        if (!res.ok) throw new Error('Failed to save');
-
         const saved = await res.json();
+        if (!res.ok) throw new Error(saved.error || 'Failed to save');
 
-        if (editId) {
-          const idx = musicals.findIndex(m => m.id === parseInt(editId));
-          musicals[idx] = saved;
-          showToast('Musical updated successfully');
-        } else {
-          musicals.unshift(saved);
-          showToast('Musical added successfully');
-        }
-
-        resetForm();
-        render(document.getElementById('searchBox').value);
+        showToast(editId ? 'Production updated successfully' : 'Production added successfully');
+        resetProductionForm();
+        loadProductions();
       } catch (err) {
         showToast('Error: ' + err.message, 'error');
       }
     });
 
-    document.getElementById('searchBox').addEventListener('input', (e) => {
-      render(e.target.value);
-    });
-
-    // Sortable column headers
-    document.querySelectorAll('th.sortable').forEach(th => {
-      th.addEventListener('click', () => {
-        const column = th.dataset.sort;
-        if (sortColumn === column) {
-          sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
-        } else {
-          sortColumn = column;
-          sortDirection = 'asc';
-        }
-        render(document.getElementById('searchBox').value);
+    // CSV columns in export order; imported headers are mapped onto these
+    const CSV_COLUMNS = ['run_id', 'production_slug', 'title', 'venue_name', 'venue_address', 'type', 'start_date', 'end_date', 'description', 'ticket_url', 'price_from', 'schedule', 'lottery_url', 'lottery_price', 'rush_url', 'rush_price', 'running_time_minutes', 'interval_count'];
+
+    // Other header spellings recognised on import (after normalizeCsvHeader)
+    const CSV_HEADER_ALIASES = {
+      id: 'run_id', run: 'run_id',
+      production: 'production_slug', slug: 'production_slug',
+      name: 'title', show: 'title', musical: 'title', show_title: 'title',
+      venue: 'venue_name', theatre: 'venue_name', theater: 'venue_name',
+      address: 'venue_address', theatre_address: 'venue_address',
+      category: 'type',
+      start: 'start_date', opens: 'start_date', opening: 'start_date', opening_date: 'start_date',
+      end: 'end_date', closes: 'end_date', closing: 'end_date', closing_date: 'end_date',
+      synopsis: 'description',
+      tickets: 'ticket_url', ticket_link: 'ticket_url', booking_url: 'ticket_url',
+      price: 'price_from', from_price: 'price_from', prices_from: 'price_from',
+      times: 'schedule', performances: 'schedule',
+      lottery: 'lottery_url', lottery_link: 'lottery_url',
+      rush: 'rush_url', rush_link: 'rush_url',
+      running_time: 'running_time_minutes', runtime: 'running_time_minutes', duration: 'running_time_minutes', length: 'running_time_minutes',
+      intervals: 'interval_count', interval: 'interval_count',
+    };
+
+    function normalizeCsvHeader(header) {
+      return header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    }
+
+    // Column each header imports into ('' to ignore it). Exact names win, then
+    // aliases; a column already claimed by an earlier header is ignored
+    function mapCsvHeaders(headers) {
+      const used = new Set();
+      return headers.map(header => {
+        const key = normalizeCsvHeader(header);
+        const field = CSV_COLUMNS.includes(key) ? key : (CSV_HEADER_ALIASES[key] || '');
+        if (!field || used.has(field)) return '';
+        used.add(field);
+        return field;
       });
-    });
+    }
+
+    // Excel writes semicolon-separated files in locales that use a decimal comma,
+    // so pick whichever of , ; or tab appears most in the (quote-aware) header line
+    function detectCsvDelimiter(text) {
+      const counts = { ',': 0, ';': 0, '\\t': 0 };
+      let inQuotes = false;
+      for (const char of text) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (char === '\\n' || char === '\\r')) break;
+        else if (!inQuotes && char in counts) counts[char]++;
+      }
+      return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+    }
 
-    // CSV Import functionality
+    // RFC 4180 parser: quoted fields may contain delimiters, "" escapes and line
+    // breaks. Handles a leading BOM and CRLF, LF or CR line endings, and skips
+    // blank lines. Returns { headers, rows, delimiter } with rows as arrays of strings,
+    // plus an error message when the input ends inside a quoted field.
     function parseCSV(text) {
-      const lines = text.split('\\n').filter(line => line.trim());
-      if (lines.length < 2) return [];
-
-      const headers = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/[^a-z_]/g, ''));
-      const records = [];
-
-      for (let i = 1; i < lines.length; i++) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        const line = lines[i];
-
-        for (let j = 0; j < line.length; j++) {
-          const char = line[j];
-          const nextChar = line[j + 1];
-
-          if (char === '"' && inQuotes && nextChar === '"') {
-            // Escaped quote ("") - add single quote and skip next char
-            current += '"';
-            j++;
+      text = text.replace(/^\\uFEFF/, '');
+      const delimiter = detectCsvDelimiter(text);
+      const rows = [];
+      let row = [];
+      let field = '';
+      let inQuotes = false;
+      // Row the open quoted field started on, counting the header as row 1
+      let quotedRow = 0;
+
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+          if (char === '"' && text[i + 1] === '"') {
+            field += '"';
+            i++;
           } else if (char === '"') {
-            inQuotes = !inQuotes;
-          } else if (char === ',' && !inQuotes) {
-            values.push(current.trim());
-            current = '';
+            inQuotes = false;
           } else {
-            current += char;
+            field += char;
           }
+        } else if (char === '"' && field === '') {
+          inQuotes = true;
+          quotedRow = rows.length + 1;
+        } else if (char === delimiter) {
+          row.push(field);
+          field = '';
+        } else if (char === '\\r' || char === '\\n') {
+          if (char === '\\r' && text[i + 1] === '\\n') i++;
+          row.push(field);
+          rows.push(row);
+          row = [];
+          field = '';
+        } else {
+          field += char;
         }
-        values.push(current.trim());
+      }
+      // An unclosed quote would swallow the rest of the file into one field
+      if (inQuotes) {
+        return { headers: [], rows: [], delimiter, error: 'Row ' + quotedRow + ' has a quoted field that is never closed' };
+      }
+      if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+      }
+
+      const [headers = [], ...data] = rows.filter(r => r.some(value => value.trim() !== ''));
+      return { headers: headers.map(h => h.trim()), rows: data, delimiter };
+    }
+
+    function csvField(value) {
+      if (value === null || value === undefined) return '';
+      const str = String(value);
+      return /[",;\\r\\n]|^\\s|\\s$/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+    }
+
+    // Serialize objects to CSV with a header line. CRLF line endings and a BOM
+    // so Excel opens it as UTF-8; parseCSV reads it straight back.
+    function toCSV(columns, rows) {
+      const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(csvField).join(','));
+      return '\\uFEFF' + lines.join('\\r\\n') + '\\r\\n';
+    }
+
+    function downloadCSV(filename, csv) {
+      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+    }
 
+    // Parsed CSV awaiting import: headers, data rows, delimiter and the column each header maps to
+    let importTable = null;
+
+    function buildImportRecords() {
+      return importTable.rows.map(values => {
         const record = {};
-        headers.forEach((h, idx) => {
-          record[h] = values[idx] || '';
+        importTable.mapping.forEach((field, idx) => {
+          if (!field) return;
+          let value = values[idx] || '';
+          // Semicolon-separated exports come from decimal-comma locales (29,50)
+          if (importTable.delimiter === ';' && /price/.test(field)) value = value.replace(/^(\\d+),(\\d+)$/, '$1.$2');
+          record[field] = value;
         });
-        records.push(record);
-      }
+        return record;
+      });
+    }
+
+    function renderColumnMapping() {
+      return \`
+        <div class="import-mapping">
+          <strong>Columns</strong>
+          \${importTable.headers.map((header, idx) => \`
+            <label>\${escapeHtml(header || '(blank)')} →
+              <select class="import-column" data-column="\${idx}">
+                <option value="">(ignore)</option>
+                \${CSV_COLUMNS.map(c => '<option value="' + c + '"' + (importTable.mapping[idx] === c ? ' selected' : '') + '>' + c + '</option>').join('')}
+              </select>
+            </label>
+          \`).join('')}
+        </div>
+      \`;
+    }
+
+    // Records parsed for the last preview; the import sends them again with the ticked indexes
+    let importRecords = [];
+
+    function formatImportValue(value) {
+      if (value === null || value === undefined) return '(empty)';
+      const text = String(value);
+      return text.length > 80 ? text.slice(0, 77) + '...' : text;
+    }
+
+    function describeImportRow(row) {
+      if (row.action === 'error') return '<span class="import-error">' + escapeHtml(row.error) + '</span>';
+      if (row.action === 'unchanged') return '<span class="import-meta">No changes</span>';
+      if (row.action === 'insert') return 'New run' + (row.new_production ? ', new production' : '');
+      return row.changes.map(c => \`
+        <div class="import-change"><code>\${c.field}</code>
+          <del>\${escapeHtml(formatImportValue(c.from))}</del> → \${escapeHtml(formatImportValue(c.to))}</div>
+      \`).join('');
+    }
+
+    function updateImportSelection() {
+      const count = document.querySelectorAll('.import-select:checked').length;
+      document.getElementById('confirmImportBtn').textContent = 'Import ' + count + ' Selected';
+    }
+
+    function renderImportPreview(preview) {
+      const { counts, rows } = preview;
+      document.getElementById('importResult').innerHTML = renderColumnMapping() + \`
+        <p class="import-summary">
+          <span style="color:#22c55e;">\${counts.insert} new</span> ·
+          <span style="color:#f5af19;">\${counts.update} updated</span> ·
+          <span>\${counts.unchanged} unchanged</span> ·
+          <span style="color:#dc2626;">\${counts.error} errors</span>
+          <br>Nothing has been saved yet. Untick rows to leave them out of the import.
+        </p>
+        \${counts.error ? \`
+          <label class="import-option">
+            <input type="checkbox" id="importSkipInvalid">
+            Skip invalid rows and import the rest (otherwise any ticked invalid row cancels the whole import)
+          </label>
+        \` : ''}
+        <table class="import-preview">
+          <thead>
+            <tr>
+              <th><input type="checkbox" id="importSelectAll" checked title="Select all"></th>
+              <th>Row</th>
+              <th>Action</th>
+              <th>Musical</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            \${rows.map(row => \`
+              <tr>
+                <td><input type="checkbox" class="import-select" data-index="\${row.index}"
+                  \${row.action === 'unchanged' ? 'disabled' : 'checked'}></td>
+                <td>\${row.line}</td>
+                <td><span class="badge badge-\${row.action}">\${row.action}</span></td>
+                <td>
+                  <strong>\${escapeHtml(row.title)}</strong>
+                  \${row.venue_name ? '<br><span class="import-meta">' + escapeHtml(row.venue_name) +
+                    (row.new_venue ? ' (new venue)' : '') + ' · ' + row.start_date + '</span>' : ''}
+                </td>
+                <td>\${describeImportRow(row)}</td>
+              </tr>
+            \`).join('')}
+          </tbody>
+        </table>
+        <div class="btn-row">
+          <button type="button" class="btn btn-primary" id="confirmImportBtn"></button>
+          <button type="button" class="btn btn-secondary" id="cancelImportBtn">Cancel</button>
+        </div>
+      \`;
+
+      document.querySelectorAll('.import-column').forEach(el => el.addEventListener('change', () => {
+        const idx = Number(el.dataset.column);
+        // A column can only come from one header
+        importTable.mapping = importTable.mapping.map((field, i) => (i !== idx && field === el.value ? '' : field));
+        importTable.mapping[idx] = el.value;
+        previewImport();
+      }));
+      document.querySelectorAll('.import-select').forEach(el => el.addEventListener('change', updateImportSelection));
+      document.getElementById('importSelectAll').addEventListener('change', (e) => {
+        document.querySelectorAll('.import-select:not(:disabled)').forEach(el => { el.checked = e.target.checked; });
+        updateImportSelection();
+      });
+      document.getElementById('confirmImportBtn').addEventListener('click', confirmImport);
+      document.getElementById('cancelImportBtn').addEventListener('click', () => {
+        importTable = null;
+        importRecords = [];
+        document.getElementById('importResult').innerHTML = '';
+      });
+      updateImportSelection();
+    }
+
+    async function previewImport() {
+      const resultDiv = document.getElementById('importResult');
+      const records = buildImportRecords();
+      resultDiv.innerHTML = '<span style="color:#f5af19;">Checking ' + records.length + ' records...</span>';
+
+      try {
+        const res = await fetch('/admin/api/musicals/import/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ records }),
+        });
+
+        const preview = await res.json();
+        if (!res.ok) throw new Error(preview.error || 'Preview failed');
+        importRecords = records;
+        renderImportPreview(preview);
 
-      return records;
+      } catch (err) {
+        showToast('Preview failed: ' + err.message, 'error');
+        resultDiv.innerHTML = '<span style="color:#dc2626;">Error: ' + escapeHtml(err.message) + '</span>';
+      }
     }
 
     document.getElementById('importBtn').addEventListener('click', async () => {
       const fileInput = document.getElementById('csvFile');
-      const resultDiv = document.getElementById('importResult');
 
       if (!fileInput.files.length) {
         showToast('Please select a CSV file', 'error');
@@ -1050,38 +5092,63 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
       }
 
       const file = fileInput.files[0];
-      const text = await file.text();
-      const records = parseCSV(text);
+      const { headers, rows, delimiter, error } = parseCSV(await file.text());
 
-      if (!records.length) {
+      if (error) {
+        showToast('Could not read the CSV: ' + error, 'error');
+        return;
+      }
+      if (!rows.length) {
         showToast('No valid records found in CSV', 'error');
         return;
       }
 
-      resultDiv.innerHTML = '<span style="color:#f5af19;">Importing ' + records.length + ' records...</span>';
+      importTable = { headers, rows, delimiter, mapping: mapCsvHeaders(headers) };
+      previewImport();
+    });
+
+    async function confirmImport() {
+      const resultDiv = document.getElementById('importResult');
+      const selected = [...document.querySelectorAll('.import-select:checked')].map(el => Number(el.dataset.index));
+      const skipInvalid = document.getElementById('importSkipInvalid');
+
+      if (!selected.length) {
+        showToast('No rows selected', 'error');
+        return;
+      }
+
+      resultDiv.innerHTML = '<span style="color:#f5af19;">Importing ' + selected.length + ' records...</span>';
 
       try {
         const res = await fetch('/admin/api/musicals/import', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ records }),
+          body: JSON.stringify({ records: importRecords, selected, skip_invalid: !!(skipInvalid && skipInvalid.checked) }),
         });
 
         const result = await res.json();
+        // A rejected import still lists the rows that failed validation
+        if (!res.ok && !result.errors) throw new Error(result.error || 'Import failed');
 
         if (result.inserted > 0 || result.updated > 0) {
+          importRecords = [];
           showToast('Inserted ' + result.inserted + ', Updated ' + result.updated + ' musicals');
           // Reload the page to refresh data
           setTimeout(() => location.reload(), 1500);
+        } else if (!res.ok) {
+          showToast(result.error, 'error');
         }
 
-        let html = '<span style="color:#22c55e;">Inserted: ' + result.inserted + '</span>';
+        let html = res.ok ? '' : '<span style="color:#dc2626;">' + escapeHtml(result.error) + '</span><br>';
+        html += '<span style="color:#22c55e;">Inserted: ' + result.inserted + '</span>';
         html += '<br><span style="color:#f5af19;">Updated: ' + result.updated + '</span>';
+        html += '<br><span style="color:#999;">Unchanged: ' + result.unchanged + '</span>';
+        html += '<br><span style="color:#999;">Finished in ' + result.timing.total_ms + ' ms</span>';
         if (result.errors.length) {
           html += '<br><span style="color:#dc2626;">Errors: ' + result.errors.length + '</span>';
           html += '<ul style="margin-top:10px;font-size:0.85rem;color:#999;">';
           result.errors.forEach(e => {
-            html += '<li>' + escapeHtml(e.row) + ': ' + escapeHtml(e.error) + '</li>';
+            html += '<li>' + (e.line ? 'Row ' + e.line + ' · ' : '') + escapeHtml(e.row) + ': ' + escapeHtml(e.error) + '</li>';
           });
           html += '</ul>';
         }
@@ -1091,22 +5158,315 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
         showToast('Import failed: ' + err.message, 'error');
         resultDiv.innerHTML = '<span style="color:#dc2626;">Error: ' + escapeHtml(err.message) + '</span>';
       }
+    }
+
+    // Rows from the last show-times preview, with the chosen run and tick state
+    let showTimesRows = [];
+
+    function formatScheduleSummary(schedule) {
+      return days.filter(day => schedule[day]).map(day => {
+        const slot = schedule[day];
+        return day.charAt(0).toUpperCase() + day.slice(1) + ' ' + [slot.m, slot.e].filter(Boolean).join(' / ');
+      }).join(', ') || 'No performances';
+    }
+
+    function renderShowTimesPreview() {
+      const matched = showTimesRows.filter(row => row.match_id).length;
+      const selected = showTimesRows.filter(row => row.selected && row.match_id).length;
+      document.getElementById('showTimesResult').innerHTML = \`
+        <p class="import-summary">
+          \${showTimesRows.length} rows, \${matched} matched to a run.
+          <br>Nothing has been saved yet. Pick the run each row applies to and untick rows to leave them out.
+        </p>
+        <table class="import-preview">
+          <thead>
+            <tr><th></th><th>Show</th><th>Schedule</th><th>Run</th><th></th></tr>
+          </thead>
+          <tbody>
+            \${showTimesRows.map((row, idx) => {
+              const chosen = row.candidates.find(c => c.id === row.match_id);
+              return \`
+                <tr>
+                  <td><input type="checkbox" class="show-times-select" data-row="\${idx}" \${row.selected && chosen ? 'checked' : ''} \${chosen ? '' : 'disabled'}></td>
+                  <td>
+                    <strong>\${escapeHtml(row.label)}</strong>
+                    \${row.running_time ? '<br><span class="import-meta">' + escapeHtml(row.running_time) + '</span>' : ''}
+                  </td>
+                  <td>
+                    \${formatScheduleSummary(row.schedule)}
+                    \${row.warnings.map(w => '<div class="import-error">' + escapeHtml(w) + '</div>').join('')}
+                  </td>
+                  <td>
+                    <select class="show-times-match" data-row="\${idx}">
+                      <option value="">(no match)</option>
+                      \${row.candidates.map(c => '<option value="' + c.id + '"' + (c.id === row.match_id ? ' selected' : '') + '>' +
+                        escapeHtml(c.title + ' - ' + c.venue_name + ' (from ' + c.start_date + ')') + ' · ' + Math.round(c.score * 100) + '%</option>').join('')}
+                    </select>
+                  </td>
+                  <td>\${!chosen ? '' : chosen.changed
+                    ? '<span class="badge badge-update">update</span>'
+                    : '<span class="badge badge-unchanged">unchanged</span>'}</td>
+                </tr>
+              \`;
+            }).join('')}
+          </tbody>
+        </table>
+        <div class="btn-row">
+          <button type="button" class="btn btn-primary" id="applyShowTimesBtn" \${selected ? '' : 'disabled'}>Apply \${selected} Schedules</button>
+          <button type="button" class="btn btn-secondary" id="cancelShowTimesBtn">Cancel</button>
+        </div>
+      \`;
+
+      document.querySelectorAll('.show-times-select').forEach(el => el.addEventListener('change', () => {
+        showTimesRows[Number(el.dataset.row)].selected = el.checked;
+        renderShowTimesPreview();
+      }));
+      document.querySelectorAll('.show-times-match').forEach(el => el.addEventListener('change', () => {
+        const row = showTimesRows[Number(el.dataset.row)];
+        row.match_id = el.value ? Number(el.value) : null;
+        row.selected = !!row.match_id;
+        renderShowTimesPreview();
+      }));
+      document.getElementById('applyShowTimesBtn').addEventListener('click', applyShowTimes);
+      document.getElementById('cancelShowTimesBtn').addEventListener('click', () => {
+        showTimesRows = [];
+        document.getElementById('showTimesResult').innerHTML = '';
+      });
+    }
+
+    document.getElementById('showTimesFile').addEventListener('change', async (e) => {
+      if (e.target.files.length) {
+        document.getElementById('showTimesText').value = await e.target.files[0].text();
+      }
+    });
+
+    document.getElementById('previewShowTimesBtn').addEventListener('click', async () => {
+      const markdown = document.getElementById('showTimesText').value;
+      const resultDiv = document.getElementById('showTimesResult');
+
+      if (!markdown.trim()) {
+        showToast('Choose a markdown file or paste the table', 'error');
+        return;
+      }
+
+      resultDiv.innerHTML = '<span style="color:#f5af19;">Matching shows...</span>';
+
+      try {
+        const res = await fetch('/admin/api/schedules/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ markdown }),
+        });
+
+        const preview = await res.json();
+        if (!res.ok) throw new Error(preview.error || 'Preview failed');
+        // Rows start ticked when they match a run whose schedule would change
+        showTimesRows = preview.rows.map(row => {
+          const match = row.candidates.find(c => c.id === row.match_id);
+          return { ...row, selected: !!(match && match.changed) };
+        });
+        renderShowTimesPreview();
+
+      } catch (err) {
+        showToast('Preview failed: ' + err.message, 'error');
+        resultDiv.innerHTML = '<span style="color:#dc2626;">Error: ' + escapeHtml(err.message) + '</span>';
+      }
+    });
+
+    async function applyShowTimes() {
+      const updates = showTimesRows.filter(row => row.selected && row.match_id)
+        .map(row => ({
+          id: row.match_id,
+          schedule: JSON.stringify(row.schedule),
+          running_time_minutes: row.running_time_minutes,
+          interval_count: row.interval_count,
+        }));
+
+      try {
+        const res = await fetch('/admin/api/schedules/apply', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ updates }),
+        });
+
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Failed to apply schedules');
+
+        showTimesRows = [];
+        const skipped = result.skipped ? ', skipped ' + result.skipped + ' no longer live' : '';
+        document.getElementById('showTimesResult').innerHTML =
+          '<span style="color:#22c55e;">Updated ' + result.updated + ' schedules' + skipped + '</span>';
+        showToast('Updated ' + result.updated + ' schedules' + skipped);
+        // Reload the page to refresh data
+        setTimeout(() => location.reload(), 1500);
+      } catch (err) {
+        showToast('Error: ' + err.message, 'error');
+      }
+    }
+
+    const RESTORE_BADGES = { create: 'badge-insert', update: 'badge-update', delete: 'badge-error', unchanged: 'badge-unchanged' };
+
+    // Restore request body awaiting confirmation: { audit_id }, { batch_id } or { at }
+    let pendingRestore = null;
+
+    async function previewRestore(body, description) {
+      const resultDiv = document.getElementById('restoreResult');
+      resultDiv.innerHTML = '<span style="color:#888;">Loading preview...</span>';
+      resultDiv.scrollIntoView({ behavior: 'smooth' });
+
+      try {
+        const res = await fetch('/admin/api/restore/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Preview failed');
+
+        pendingRestore = body;
+        renderRestorePreview(result, description);
+      } catch (err) {
+        pendingRestore = null;
+        resultDiv.innerHTML = '<span style="color:#dc2626;">Error: ' + escapeHtml(err.message) + '</span>';
+      }
+    }
+
+    const RESTORE_ENTITY_LABELS = { venue: 'Venue', production: 'Production' };
+
+    function renderRestorePreview({ counts, rows }, description) {
+      const changed = rows.filter(row => row.action !== 'unchanged');
+      // Venues and productions kept because runs still use them are listed too
+      const listed = rows.filter(row => row.action !== 'unchanged' || row.kept);
+      document.getElementById('restoreResult').innerHTML = \`
+        <p class="import-summary">
+          <strong>\${escapeHtml(description)}</strong>
+          <br>\${counts.create} to recreate, \${counts.update} to update, \${counts.delete} to delete, \${counts.unchanged} already as they were.
+          Nothing has been saved yet.
+        </p>
+        \${listed.length ? \`
+          <table class="import-preview">
+            <thead>
+              <tr><th></th><th>Record</th><th>Changes</th></tr>
+            </thead>
+            <tbody>
+              \${listed.map(row => \`
+                <tr>
+                  <td><span class="badge \${RESTORE_BADGES[row.action]}">\${row.kept ? 'kept' : row.action}</span></td>
+                  <td>
+                    <strong>\${escapeHtml(row.title || '#' + row.id)}</strong>
+                    <br><span class="import-meta">\${escapeHtml(RESTORE_ENTITY_LABELS[row.entity] ||
+                      (row.venue_name || '') + ' · from ' + (row.start_date || '?'))}</span>
+                    \${row.later_changes ? '<div class="import-error">Changed again since; those later changes will be lost</div>' : ''}
+                    \${row.action === 'delete' ? '<div class="import-meta">' +
+                      (row.entity !== 'musical' ? 'Deleted' : row.purge ? 'Deleted for good, as a restored run takes back its run ID' : 'Moved to the Trash') + '</div>' : ''}
+                    \${row.kept ? '<div class="import-meta">Not deleted, as ' + row.runs + ' runs still use it (including any in the Trash)</div>' : ''}
+                  </td>
+                  <td>
+                    <ul class="history-changes">
+                      \${row.changes.map(c => '<li>' + escapeHtml(c.field) + ': <del>' + escapeHtml(formatAuditValue(c.field, c.from)) +
+                        '</del> → <ins>' + escapeHtml(formatAuditValue(c.field, c.to)) + '</ins></li>').join('')}
+                    </ul>
+                  </td>
+                </tr>
+              \`).join('')}
+            </tbody>
+          </table>
+        \` : ''}
+        <div class="btn-row">
+          <button type="button" class="btn btn-primary" id="confirmRestoreBtn" \${changed.length ? '' : 'disabled'}>Restore \${changed.length} \${changed.every(row => row.entity === 'musical') ? 'Runs' : 'Records'}</button>
+          <button type="button" class="btn btn-secondary" id="cancelRestoreBtn">Cancel</button>
+        </div>
+      \`;
+
+      document.getElementById('confirmRestoreBtn').addEventListener('click', confirmRestore);
+      document.getElementById('cancelRestoreBtn').addEventListener('click', () => {
+        pendingRestore = null;
+        document.getElementById('restoreResult').innerHTML = '';
+      });
+    }
+
+    async function confirmRestore() {
+      if (!pendingRestore) return;
+      document.getElementById('confirmRestoreBtn').disabled = true;
+
+      try {
+        const res = await fetch('/admin/api/restore', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(pendingRestore),
+        });
+        const result = await res.json();
+        if (!res.ok) throw new Error(result.error || 'Restore failed');
+
+        pendingRestore = null;
+        const message = 'Restored: ' + result.created + ' recreated, ' + result.updated + ' updated, ' + result.deleted + ' deleted';
+        document.getElementById('restoreResult').innerHTML = '<span style="color:#22c55e;">' + message + '</span>';
+        showToast(message);
+        // Reload the page to refresh data
+        setTimeout(() => location.reload(), 1500);
+      } catch (err) {
+        document.getElementById('confirmRestoreBtn').disabled = false;
+        showToast('Error: ' + err.message, 'error');
+      }
+    }
+
+    async function loadRestoreBatches() {
+      const tbody = document.getElementById('restoreBatchesBody');
+      try {
+        const res = await fetch('/admin/api/audit/batches');
+        const batches = await res.json();
+        if (!res.ok) throw new Error(batches.error || 'Failed to load changes');
+
+        tbody.innerHTML = batches.map((batch, idx) => \`
+          <tr>
+            <td>\${escapeHtml(batch.created_at)}</td>
+            <td>\${escapeHtml(batch.actor)}</td>
+            <td>\${escapeHtml(batch.route)}<br><span class="import-meta">\${escapeHtml(batch.actions.replace(/_/g, ' '))}</span></td>
+            <td>\${batch.entries}</td>
+            <td><button type="button" class="btn btn-secondary btn-sm restore-batch" data-batch="\${idx}">Undo</button></td>
+          </tr>
+        \`).join('') || '<tr><td colspan="5" style="color:#888;">No changes recorded yet</td></tr>';
+
+        document.querySelectorAll('.restore-batch').forEach(el => el.addEventListener('click', () => {
+          const batch = batches[Number(el.dataset.batch)];
+          previewRestore({ batch_id: batch.batch_id }, 'Undo ' + batch.route + ' from ' + batch.created_at + ' UTC');
+        }));
+      } catch (err) {
+        tbody.innerHTML = '<tr><td colspan="5" class="import-error">' + escapeHtml(err.message) + '</td></tr>';
+      }
+    }
+
+    document.getElementById('previewRestoreAtBtn').addEventListener('click', () => {
+      const value = document.getElementById('restoreAt').value;
+      if (!value) {
+        showToast('Choose the date and time to restore to', 'error');
+        return;
+      }
+      // datetime-local is the browser's local time; the API takes UTC
+      previewRestore({ at: new Date(value).toISOString() }, 'Restore all runs to ' + value.replace('T', ' '));
     });
 
     document.getElementById('downloadTemplate').addEventListener('click', () => {
-      const template = 'title,venue_name,venue_address,type,start_date,end_date,description,ticket_url,price_from,schedule,lottery_url,lottery_price,rush_url,rush_price\\n' +
-        '"Example Musical","Theatre Name","123 London St, W1","West End","2025-01-01","2025-12-31","A great show","https://example.com",29.99,"{\\"mon\\":{\\"m\\":null,\\"e\\":\\"19:30\\"}}","","","",""';
-      const blob = new Blob([template], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'musicals_template.csv';
-      a.click();
-      URL.revokeObjectURL(url);
+      const example = {
+        production_slug: 'example-musical',
+        title: 'Example Musical',
+        venue_name: 'Theatre Name',
+        venue_address: '123 London St, W1',
+        type: 'West End',
+        start_date: '2025-01-01',
+        end_date: '2025-12-31',
+        description: 'A great show',
+        ticket_url: 'https://example.com',
+        price_from: 29.99,
+        schedule: JSON.stringify({ mon: { m: null, e: '19:30' } }),
+        running_time_minutes: 150,
+        interval_count: 1,
+      };
+      downloadCSV('musicals_template.csv', toCSV(CSV_COLUMNS, [example]));
     });
 
     document.getElementById('deleteAllBtn').addEventListener('click', async () => {
-      if (!confirm('WARNING: This will DELETE ALL ' + musicals.length + ' records. This cannot be undone!')) return;
+      if (!confirm('WARNING: This will move ALL ' + musicals.length + ' records to the Trash. They can be restored from there or with Undo & Restore.')) return;
 
       const password = prompt('Enter admin password to confirm:');
       if (!password) return;
@@ -1125,21 +5485,52 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
           return;
         }
 
-        showToast('Deleted ' + result.deleted + ' records');
+        showToast('Moved ' + result.deleted + ' records to the Trash');
         setTimeout(() => location.reload(), 1000);
       } catch (err) {
         showToast('Delete failed: ' + err.message, 'error');
       }
     });
 
-    document.getElementById('migrateBtn').addEventListener('click', async () => {
-      if (!confirm('This will generate run_ids for all records that don\\'t have one. Continue?')) return;
+    function renderMigrations(status) {
+      document.getElementById('migrationSummary').textContent =
+        'Schema version ' + status.current_version + ' of ' + status.latest_version +
+        (status.pending ? ' - ' + status.pending + ' pending' : ' - up to date');
+      document.getElementById('migrationsBody').innerHTML = status.migrations.map(m => \`
+        <tr>
+          <td>\${String(m.version).padStart(4, '0')}</td>
+          <td>\${escapeHtml(m.name)}</td>
+          <td><span class="badge \${m.applied_at ? 'badge-active' : 'badge-ended'}">\${m.applied_at ? 'Applied' : 'Pending'}</span></td>
+          <td>\${m.applied_at || '-'}</td>
+        </tr>
+      \`).join('');
+      document.getElementById('applyMigrationsBtn').disabled = !status.pending;
+    }
+
+    async function loadMigrations() {
+      try {
+        const res = await fetch('/admin/api/migrations');
+        renderMigrations(await res.json());
+      } catch (err) {
+        document.getElementById('migrationSummary').textContent = 'Failed to load migrations: ' + err.message;
+      }
+    }
+
+    document.getElementById('applyMigrationsBtn').addEventListener('click', async () => {
+      if (!confirm('Apply all pending database migrations?')) return;
 
       try {
-        const res = await fetch('/admin/api/migrate-run-ids', { method: 'POST' });
+        const res = await fetch('/admin/api/migrations', { method: 'POST' });
         const result = await res.json();
-        showToast('Migrated ' + result.migrated + ' records');
-        if (result.migrated > 0) {
+        renderMigrations(result);
+
+        if (result.error) {
+          showToast('Migration ' + result.error.version + ' failed: ' + result.error.message, 'error');
+          return;
+        }
+
+        showToast('Applied ' + result.applied.length + ' migrations');
+        if (result.applied.length > 0) {
           setTimeout(() => location.reload(), 1000);
         }
       } catch (err) {
@@ -1147,35 +5538,93 @@ const ADMIN_TEMPLATE = `<!DOCTYPE html>
       }
     });
 
-    document.getElementById('exportBtn').addEventListener('click', () => {
-      const headers = ['run_id', 'title', 'venue_name', 'venue_address', 'type', 'start_date', 'end_date', 'description', 'ticket_url', 'price_from', 'schedule', 'lottery_url', 'lottery_price', 'rush_url', 'rush_price'];
-      const csvRows = [headers.join(',')];
-
-      musicals.forEach(m => {
-        const row = headers.map(h => {
-          const val = m[h];
-          if (val === null || val === undefined) return '';
-          const str = String(val);
-          if (str.includes(',') || str.includes('"') || str.includes('\\n')) {
-            return '"' + str.replace(/"/g, '""') + '"';
-          }
-          return str;
-        });
-        csvRows.push(row.join(','));
-      });
+    function renderHealthReport(report) {
+      document.getElementById('healthSummary').textContent = report.issue_count
+        ? report.issue_count + ' issues found'
+        : 'No issues found';
+      document.getElementById('healthChecks').innerHTML = report.checks.filter(check => check.count).map(check => \`
+        <h3 class="health-check-title">\${escapeHtml(check.label)} <span class="badge badge-error">\${check.count}</span></h3>
+        <table>
+          <tbody>
+            \${check.records.map(r => \`
+              <tr>
+                <td><strong>\${escapeHtml(r.title)}</strong></td>
+                <td>\${escapeHtml(r.venue_name)}</td>
+                <td>\${r.start_date} - \${r.end_date || 'Open Run'}</td>
+                <td>\${escapeHtml(r.detail)}</td>
+                <td class="actions"><button class="btn btn-secondary btn-sm" onclick="editMusical(\${r.id})">Edit</button></td>
+              </tr>
+            \`).join('')}
+          </tbody>
+        </table>
+      \`).join('');
+    }
+
+    async function loadHealthReport() {
+      try {
+        const res = await fetch('/admin/api/health-report');
+        const report = await res.json();
+        if (!res.ok) throw new Error(report.error || 'Failed to run checks');
+        renderHealthReport(report);
+      } catch (err) {
+        document.getElementById('healthSummary').textContent = 'Failed to run checks: ' + err.message;
+      }
+    }
 
-      const csv = csvRows.join('\\n');
-      const blob = new Blob([csv], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'musicals_export_' + new Date().toISOString().split('T')[0] + '.csv';
-      a.click();
-      URL.revokeObjectURL(url);
+    document.getElementById('refreshHealthBtn').addEventListener('click', loadHealthReport);
+
+    function renderJobRuns(data) {
+      document.getElementById('jobsSummary').textContent = 'Runs daily at 6:00 AM UTC: ' + data.jobs.join(', ');
+      document.getElementById('jobRunsBody').innerHTML = data.runs.length ? data.runs.map(run => \`
+        <tr>
+          <td>\${escapeHtml(run.started_at.replace('T', ' ').slice(0, 19))}</td>
+          <td>\${escapeHtml(run.job)}</td>
+          <td>\${escapeHtml(run.trigger)}</td>
+          <td>\${run.duration_ms}ms</td>
+          <td><span class="badge \${run.status === 'success' ? 'badge-active' : 'badge-error'}">\${run.status === 'success' ? 'OK' : 'Failed'}</span></td>
+          <td>\${escapeHtml(run.message)}</td>
+        </tr>
+      \`).join('') : '<tr><td colspan="6" style="color:#888;">No job runs yet</td></tr>';
+    }
+
+    async function loadJobRuns() {
+      try {
+        const res = await fetch('/admin/api/jobs');
+        renderJobRuns(await res.json());
+      } catch (err) {
+        document.getElementById('jobsSummary').textContent = 'Failed to load job history: ' + err.message;
+      }
+    }
+
+    document.getElementById('runJobsBtn').addEventListener('click', async () => {
+      const btn = document.getElementById('runJobsBtn');
+      btn.disabled = true;
+      try {
+        const res = await fetch('/admin/api/jobs/run', { method: 'POST' });
+        const result = await res.json();
+        const failed = result.runs.filter(run => run.status !== 'success');
+        showToast(failed.length ? failed.length + ' jobs failed' : 'Ran ' + result.runs.length + ' jobs', failed.length ? 'error' : 'success');
+        loadJobRuns();
+      } catch (err) {
+        showToast('Running jobs failed: ' + err.message, 'error');
+      } finally {
+        btn.disabled = false;
+      }
+    });
+
+    document.getElementById('exportBtn').addEventListener('click', () => {
+      downloadCSV('musicals_export_' + new Date().toISOString().split('T')[0] + '.csv', toCSV(CSV_COLUMNS, musicals));
       showToast('Exported ' + musicals.length + ' musicals');
     });
 
     render();
+    renderVenues();
+    renderProductions();
+    loadMigrations();
+    loadJobRuns();
+    loadRestoreBatches();
+    loadTrash();
+    loadHealthReport();
   </script>
 </body>
 </html>`;
@@ -1188,6 +5637,10 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>London Musicals - What's On Stage Today</title>
   <meta name="description" content="Discover musicals playing in London today. West End, Off West End, and Drama School productions.">
+  {{META_TAGS}}
+  <link rel="alternate" type="application/atom+xml" title="London Musicals - Newly Announced" href="/feeds/new.atom">
+  <link rel="alternate" type="application/atom+xml" title="London Musicals - Closing Soon" href="/feeds/closing-soon.atom">
+  {{STRUCTURED_DATA}}
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body {
@@ -1316,6 +5769,16 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       color: #555;
       font-size: 1.2rem;
     }
+    .date-filter-status {
+      color: #999;
+      font-size: 0.85rem;
+    }
+    .calendar-link {
+      color: #4ade80;
+      font-size: 0.9rem;
+      text-decoration: none;
+    }
+    .calendar-link:hover { text-decoration: underline; }
     .section { padding: 30px 0; }
     .section-title {
       font-size: 1.5rem;
@@ -1383,12 +5846,20 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       border-color: #c084fc;
       box-shadow: 0 0 8px rgba(168, 85, 247, 0.5);
     }
+    .title-badge.calendar { border-color: #4ade80; }
+    .title-badge.calendar:hover {
+      border-color: #86efac;
+      box-shadow: 0 0 8px rgba(74, 222, 128, 0.5);
+    }
     .title-badge.rush { border-color: #f59e0b; }
     .title-badge.rush:hover {
       border-color: #fbbf24;
       box-shadow: 0 0 8px rgba(245, 158, 11, 0.5);
     }
     .card-venue { color: #f5af19; font-size: 0.95rem; margin-bottom: 10px; display: flex; align-items: center; gap: 8px; flex-wrap: wrap; }
+    .title-link, .venue-link { color: inherit; text-decoration: none; }
+    .title-link:hover { color: #f5af19; }
+    .venue-link:hover { text-decoration: underline; }
     .venue-icons { display: inline-flex; gap: 6px; }
     .venue-badge {
       display: inline-flex;
@@ -1418,6 +5889,11 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       font-size: 0.85rem;
       color: #999;
     }
+    .card-duration {
+      color: #999;
+      font-size: 0.85rem;
+      margin-bottom: 8px;
+    }
     .card-type-badge {
       background: rgba(233, 69, 96, 0.3);
       color: #e94560;
@@ -1459,6 +5935,21 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       color: #444;
       background: transparent;
     }
+    .show-time.cancelled {
+      color: #f87171;
+      background: rgba(248, 113, 113, 0.1);
+      text-decoration: line-through;
+    }
+    .show-time.changed {
+      color: #fbbf24;
+      background: rgba(251, 191, 36, 0.15);
+    }
+    .schedule-notes {
+      list-style: none;
+      margin: -6px 0 10px;
+      font-size: 0.75rem;
+      color: #fbbf24;
+    }
     .footer {
       text-align: center;
       padding: 40px 20px;
@@ -1508,7 +5999,7 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
   </div>
 
   <div class="filters">
-    <button class="filter-btn active" data-filter="all">All Shows</button>
+    <button class="filter-btn" data-filter="all">All Shows</button>
     <button class="filter-btn" data-filter="west-end">West End</button>
     <button class="filter-btn" data-filter="off-west-end">Off West End</button>
     <button class="filter-btn" data-filter="drama-school">Drama Schools</button>
@@ -1521,19 +6012,22 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       <button class="date-filter-btn secondary" id="btnToday">Today</button>
       <button class="date-filter-btn secondary" id="btnThisWeek">This Week</button>
       <button class="date-filter-btn secondary" id="btnThisMonth">This Month</button>
-      <button class="date-filter-btn secondary active" id="btnThisQuarter">This Quarter</button>
+      <button class="date-filter-btn secondary" id="btnThisQuarter">This Quarter</button>
       <button class="date-filter-btn secondary" id="btnThisYear">This Year</button>
       <span class="date-separator">|</span>
       <label>
         <span>From</span>
-        <input type="date" id="dateFrom">
+        <input type="date" id="dateFrom" value="{{DATE_FROM}}">
       </label>
       <label>
         <span>To</span>
-        <input type="date" id="dateTo">
+        <input type="date" id="dateTo" value="{{DATE_TO}}">
       </label>
       <button class="date-filter-btn" id="applyDateFilter">Apply</button>
       <button class="date-filter-btn secondary" id="clearDateFilter">Clear</button>
+      <span class="date-filter-status" id="dateFilterStatus"></span>
+      <span class="date-separator">|</span>
+      <a class="calendar-link" id="calendarLink" href="/calendar.ics" title="Subscribe to these shows in your calendar">📅 Subscribe</a>
     </div>
   </div>
 
@@ -1569,14 +6063,23 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
   </footer>
 
   <script>
-    const allMusicals = {{MUSICALS_DATA}};
     const defaultDate = '{{TODAY_DATE}}';
     const defaultEndDate = '{{THREE_MONTHS_DATE}}';
+    const archiveDate = '{{ARCHIVE_DATE}}';
+    // Runs for the default window are embedded; other ranges are fetched on demand.
+    // loadedFrom..loadedTo is the contiguous range whose runs are all in musicalsById
+    const musicalsById = new Map({{MUSICALS_DATA}}.map(m => [m.id, m]));
+    let loadedFrom = '{{LOADED_FROM}}';
+    let loadedTo = '{{LOADED_TO}}';
+    let renderToken = 0;
     let typeFilter = 'all';
+    // Quick date button in use ('quarter' by default), or null for a custom range
+    let datePreset = 'quarter';
+    // Cards show the schedule for the week containing the selected start date
+    let scheduleWeekStart = null;
 
-    // Set default date range
-    document.getElementById('dateFrom').value = defaultDate;
-    document.getElementById('dateTo').value = defaultEndDate;
+    document.getElementById('dateFrom').min = archiveDate;
+    document.getElementById('dateTo').min = archiveDate;
 
     function getDayOfWeek(dateStr) {
       // Parse YYYY-MM-DD manually to avoid timezone issues
@@ -1591,6 +6094,43 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       return !!value;
     }
 
+    function addDays(dateStr, n) {
+      const [year, month, day] = dateStr.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1, day + n)).toISOString().split('T')[0];
+    }
+
+    // Monday of the week containing dateStr
+    function getWeekStart(dateStr) {
+      return addDays(dateStr, -((getDayOfWeek(dateStr) + 6) % 7));
+    }
+
+    // Performances on a date: the weekly slots with that date's exceptions applied.
+    // Each slot is null or { time, change, note }; change is null for a regular performance
+    function getDayPerformances(show, dateStr, schedule) {
+      const dayKeys = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+      const day = (schedule && schedule[dayKeys[getDayOfWeek(dateStr)]]) || {};
+      const slots = {};
+      ['m', 'e'].forEach(slot => {
+        slots[slot] = hasPerformance(day[slot])
+          ? { time: typeof day[slot] === 'string' ? day[slot] : null, change: null, note: null }
+          : null;
+      });
+
+      (show.exceptions || []).filter(e => e.date === dateStr).forEach(e => {
+        if (e.change_type === 'cancelled') {
+          // Keep cancelled slots so the card can show them struck through
+          if (slots[e.slot]) slots[e.slot] = { ...slots[e.slot], change: 'cancelled', note: e.note };
+        } else {
+          slots[e.slot] = { time: e.time, change: e.change_type, note: e.note };
+        }
+      });
+      return slots;
+    }
+
+    function isPerforming(slot) {
+      return !!slot && slot.change !== 'cancelled';
+    }
+
     function isShowActive(show, fromDate, toDate) {
       const start = show.start_date;
       const end = show.end_date || '9999-12-31';
@@ -1604,12 +6144,10 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       if (fromDate === toDate && show.schedule) {
         try {
           const schedule = JSON.parse(show.schedule);
-          const dayIndex = getDayOfWeek(fromDate);
-          const dayKeys = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
-          const dayKey = dayKeys[dayIndex];
+          const slots = getDayPerformances(show, fromDate, schedule);
 
-          // If schedule exists but this day has no performances, filter out
-          if (!schedule[dayKey] || (!hasPerformance(schedule[dayKey].m) && !hasPerformance(schedule[dayKey].e))) {
+          // If schedule exists but this day has no performances (after exceptions), filter out
+          if (!isPerforming(slots.m) && !isPerforming(slots.e)) {
             return false;
           }
         } catch (e) {
@@ -1645,26 +6183,48 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       return hour12 + ':' + m + suffix;
     }
 
-    function renderScheduleDots(scheduleJson) {
-      if (!scheduleJson) return '';
+    function renderShowTime(slot) {
+      if (!slot) return '<span class="show-time empty">-</span>';
+      // Handle both old boolean format (no time) and new time format
+      const label = slot.time ? formatTime(slot.time) : '•';
+      const cls = slot.change === 'cancelled' ? ' cancelled' : (slot.change ? ' changed' : '');
+      const title = slot.note ? ' title="' + escapeHtml(slot.note).replace(/"/g, '&quot;') + '"' : '';
+      return '<span class="show-time' + cls + '"' + title + '>' + label + '</span>';
+    }
+
+    function describeException(e) {
+      const slotName = e.slot === 'm' ? 'matinee' : 'evening';
+      const what = e.change_type === 'cancelled' ? slotName + ' cancelled'
+        : e.change_type === 'added' ? 'extra ' + slotName + ' at ' + formatTime(e.time)
+        : slotName + ' moved to ' + formatTime(e.time);
+      const [year, month, day] = e.date.split('-').map(Number);
+      const dateLabel = new Date(year, month - 1, day).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+      return dateLabel + ': ' + what + (e.note ? ' (' + escapeHtml(e.note) + ')' : '');
+    }
+
+    // Schedule for the week starting weekStart, with that week's exceptions applied
+    function renderScheduleDots(m, weekStart) {
+      const weekEnd = addDays(weekStart, 6);
+      const weekExceptions = (m.exceptions || []).filter(e => e.date >= weekStart && e.date <= weekEnd);
+      if (!m.schedule && !weekExceptions.length) return '';
       try {
-        const schedule = JSON.parse(scheduleJson);
-        const days = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+        const schedule = m.schedule ? JSON.parse(m.schedule) : {};
         const labels = ['M', 'T', 'W', 'T', 'F', 'S', 'S'];
         let html = '<div class="schedule-grid-public">';
-        days.forEach((day, i) => {
-          const mat = schedule[day] && schedule[day].m;
-          const eve = schedule[day] && schedule[day].e;
-          // Handle both old boolean format and new time format
-          const matTime = (typeof mat === 'string') ? formatTime(mat) : (mat ? '•' : '-');
-          const eveTime = (typeof eve === 'string') ? formatTime(eve) : (eve ? '•' : '-');
+        labels.forEach((label, i) => {
+          const slots = getDayPerformances(m, addDays(weekStart, i), schedule);
           html += '<div class="day-col">' +
-            '<span class="day-label">' + labels[i] + '</span>' +
-            '<span class="show-time ' + (matTime === '-' ? 'empty' : '') + '">' + matTime + '</span>' +
-            '<span class="show-time ' + (eveTime === '-' ? 'empty' : '') + '">' + eveTime + '</span>' +
+            '<span class="day-label">' + label + '</span>' +
+            renderShowTime(slots.m) +
+            renderShowTime(slots.e) +
             '</div>';
         });
         html += '</div>';
+        if (weekExceptions.length) {
+          html += '<ul class="schedule-notes">' +
+            weekExceptions.map(e => '<li>' + describeException(e) + '</li>').join('') +
+            '</ul>';
+        }
         return html;
       } catch (e) { return ''; }
     }
@@ -1682,18 +6242,49 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
         const rushPrice = m.rush_price ? '£' + m.rush_price.toFixed(0) : '';
         html += '<a href="' + escapeHtml(m.rush_url) + '" target="_blank" rel="noopener" class="title-badge rush">⚡ ' + rushPrice + '</a>';
       }
+      html += '<a href="/api/musicals/' + m.id + '/calendar.ics" class="title-badge calendar" title="Add to calendar">📅</a>';
       return html;
     }
 
-    function renderVenueIcons(venueName, venueAddress) {
-      if (!venueAddress) return '';
-      const query = encodeURIComponent(venueName + ' ' + venueAddress);
+    // Calendar feed URL matching the selected type filter
+    function getCalendarFeedUrl() {
+      const types = { 'west-end': 'West End', 'off-west-end': 'Off West End', 'drama-school': 'Drama School' };
+      if (types[typeFilter]) return '/calendar.ics?type=' + encodeURIComponent(types[typeFilter]);
+      if (typeFilter === 'rush-lottery') return '/calendar.ics?rush=1';
+      return '/calendar.ics';
+    }
+
+    function renderVenueIcons(m) {
+      const hasCoords = m.venue_latitude != null && m.venue_longitude != null;
+      if (!m.venue_address && !hasCoords) return '';
+      // Prefer exact venue coordinates over free-text address search
+      const query = encodeURIComponent(hasCoords ? m.venue_latitude + ',' + m.venue_longitude : m.venue_name + ' ' + m.venue_address);
       return '<span class="venue-icons">' +
         '<a href="https://www.google.com/maps/search/?api=1&query=' + query + '" target="_blank" rel="noopener" class="venue-badge" title="View on map">📍</a>' +
         '<a href="https://www.google.com/maps/dir/?api=1&destination=' + query + '" target="_blank" rel="noopener" class="venue-badge" title="Get directions">🧭</a>' +
         '</span>';
     }
 
+    function renderTitle(m) {
+      if (!m.run_id) return escapeHtml(m.title);
+      return '<a href="/shows/' + encodeURIComponent(m.run_id) + '" class="title-link">' + escapeHtml(m.title) + '</a>';
+    }
+
+    function renderVenueName(m) {
+      if (!m.venue_slug) return '<span>' + escapeHtml(m.venue_name) + '</span>';
+      return '<a href="/venues/' + encodeURIComponent(m.venue_slug) + '" class="venue-link">' + escapeHtml(m.venue_name) + '</a>';
+    }
+
+    // "2h 40m · 1 interval", as on the show pages
+    function formatRunningTime(m) {
+      const hours = Math.floor(m.running_time_minutes / 60);
+      const minutes = m.running_time_minutes % 60;
+      const length = [hours ? hours + 'h' : '', minutes ? minutes + 'm' : ''].filter(Boolean).join(' ');
+      if (m.interval_count == null) return length;
+      const intervals = m.interval_count === 0 ? 'no interval' : m.interval_count + ' interval' + (m.interval_count === 1 ? '' : 's');
+      return length + ' · ' + intervals;
+    }
+
     function renderCard(m) {
       const today = new Date().toISOString().split('T')[0];
       const hasStarted = m.start_date <= today;
@@ -1713,9 +6304,10 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       }
 
       return '<div class="card">' +
-        '<div class="title-row"><h3 class="card-title">' + escapeHtml(m.title) + '</h3>' + renderTitleBadges(m) + '</div>' +
-        '<p class="card-venue"><span>' + escapeHtml(m.venue_name) + '</span>' + renderVenueIcons(m.venue_name, m.venue_address) + '</p>' +
-        renderScheduleDots(m.schedule) +
+        '<div class="title-row"><h3 class="card-title">' + renderTitle(m) + '</h3>' + renderTitleBadges(m) + '</div>' +
+        '<p class="card-venue">' + renderVenueName(m) + renderVenueIcons(m) + '</p>' +
+        (m.running_time_minutes ? '<p class="card-duration">' + formatRunningTime(m) + '</p>' : '') +
+        renderScheduleDots(m, scheduleWeekStart) +
         '<div class="card-meta">' +
         '<span class="card-date">' + dateText + '</span>' +
         '<span class="card-type-badge">' + escapeHtml(m.type) + '</span>' +
@@ -1723,11 +6315,62 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
         '</div>';
     }
 
-    function render() {
-      const fromDate = document.getElementById('dateFrom').value || defaultDate;
+    // Fetch every page of runs on between from and to, keeping runs already loaded
+    // (their exceptions start earlier). Starts on the Monday so that week's schedule is complete
+    async function fetchRange(from, to) {
+      const weekStart = getWeekStart(from);
+      const start = weekStart < archiveDate ? archiveDate : weekStart;
+      let cursor = null;
+      do {
+        const params = new URLSearchParams({ from: start, to: to, limit: '200' });
+        if (cursor) params.set('cursor', cursor);
+        const res = await fetch('/api/musicals?' + params);
+        if (!res.ok) throw new Error('Failed to load shows');
+        (await res.json()).forEach(m => {
+          if (!musicalsById.has(m.id)) musicalsById.set(m.id, m);
+        });
+        cursor = res.headers.get('X-Next-Cursor');
+      } while (cursor);
+    }
+
+    // Load whatever part of from..to is outside the loaded range
+    async function ensureRange(from, to) {
+      if (from < loadedFrom) {
+        await fetchRange(from, addDays(loadedFrom, -1));
+        loadedFrom = from;
+      }
+      if (to > loadedTo) {
+        await fetchRange(addDays(loadedTo, 1), to);
+        loadedTo = to;
+      }
+    }
+
+    async function render() {
+      let fromDate = document.getElementById('dateFrom').value || defaultDate;
       const toDate = document.getElementById('dateTo').value || defaultEndDate;
+      if (fromDate < archiveDate) {
+        fromDate = archiveDate;
+        document.getElementById('dateFrom').value = archiveDate;
+      }
+
+      // Ignore results from an earlier render that finished after this one started
+      const token = ++renderToken;
+      const status = document.getElementById('dateFilterStatus');
+      if (fromDate <= toDate && (fromDate < loadedFrom || toDate > loadedTo)) {
+        status.textContent = 'Loading…';
+        try {
+          await ensureRange(fromDate, toDate);
+          status.textContent = '';
+        } catch (e) {
+          status.textContent = 'Could not load shows for these dates';
+        }
+        if (token !== renderToken) return;
+      }
+      scheduleWeekStart = getWeekStart(fromDate);
 
-      let filtered = allMusicals.filter(m => isShowActive(m, fromDate, toDate));
+      let filtered = [...musicalsById.values()]
+        .filter(m => isShowActive(m, fromDate, toDate))
+        .sort((a, b) => a.title.localeCompare(b.title));
 
       // Apply rush-lottery filter if selected
       if (typeFilter === 'rush-lottery') {
@@ -1760,6 +6403,8 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       document.querySelectorAll('.stat-value')[2].textContent = offWestEnd.length;
       document.querySelectorAll('.stat-value')[3].textContent = dramaSchool.length;
 
+      document.getElementById('calendarLink').href = getCalendarFeedUrl();
+
       // Apply type filter
       document.querySelectorAll('.section').forEach(section => {
         if (typeFilter === 'all' || typeFilter === 'rush-lottery' || typeFilter === 'closing-soon') {
@@ -1770,13 +6415,82 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       });
     }
 
+    const filterKeys = ['all', 'west-end', 'off-west-end', 'drama-school', 'rush-lottery', 'closing-soon'];
+
+    // Quick date buttons all start today; these give the end date.
+    // Mirrors datePresetEnd in the worker, which renders the first paint
+    const datePresets = {
+      today: { btn: 'btnToday', end: () => defaultDate },
+      week: { btn: 'btnThisWeek', end: () => addDays(defaultDate, 7 - getDayOfWeek(defaultDate)) },
+      month: {
+        btn: 'btnThisMonth',
+        end: () => {
+          const [year, month] = defaultDate.split('-').map(Number);
+          return new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+        },
+      },
+      quarter: { btn: 'btnThisQuarter', end: () => defaultEndDate },
+      year: { btn: 'btnThisYear', end: () => defaultDate.slice(0, 4) + '-12-31' },
+    };
+
+    // Filter state in the query string: ?filter=rush-lottery&dates=week, or
+    // ?from=YYYY-MM-DD&to=YYYY-MM-DD for a custom range. Defaults are left out
+    function readUrlState() {
+      const params = new URLSearchParams(location.search);
+      const filter = filterKeys.includes(params.get('filter')) ? params.get('filter') : 'all';
+      const from = params.get('from');
+      const to = params.get('to');
+      if (/^\\d{4}-\\d{2}-\\d{2}$/.test(from) && /^\\d{4}-\\d{2}-\\d{2}$/.test(to)) {
+        return { filter, dates: null, from, to };
+      }
+      const dates = datePresets[params.get('dates')] ? params.get('dates') : 'quarter';
+      return { filter, dates, from: defaultDate, to: datePresets[dates].end() };
+    }
+
+    function applyState(state) {
+      typeFilter = state.filter;
+      datePreset = state.dates;
+      document.querySelectorAll('.filter-btn').forEach(b => b.classList.toggle('active', b.dataset.filter === typeFilter));
+      setActiveDateBtn(datePreset ? datePresets[datePreset].btn : null);
+      document.getElementById('dateFrom').value = state.from;
+      document.getElementById('dateTo').value = state.to;
+    }
+
+    function getStateUrl() {
+      const params = new URLSearchParams();
+      if (typeFilter !== 'all') params.set('filter', typeFilter);
+      if (!datePreset) {
+        params.set('from', document.getElementById('dateFrom').value);
+        params.set('to', document.getElementById('dateTo').value);
+      } else if (datePreset !== 'quarter') {
+        params.set('dates', datePreset);
+      }
+      const query = params.toString();
+      return location.pathname + (query ? '?' + query : '');
+    }
+
+    // Add a history entry for the current filters, then show them
+    function updateFilters() {
+      const url = getStateUrl();
+      if (url !== location.pathname + location.search) {
+        history.pushState(null, '', url);
+      }
+      render();
+    }
+
+    // Back/forward restores the filters of that entry
+    window.addEventListener('popstate', () => {
+      applyState(readUrlState());
+      render();
+    });
+
     // Type filter buttons
     document.querySelectorAll('.filter-btn').forEach(btn => {
       btn.addEventListener('click', () => {
         document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
         typeFilter = btn.dataset.filter;
-        render();
+        updateFilters();
       });
     });
 
@@ -1786,64 +6500,291 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
       if (btnId) document.getElementById(btnId).classList.add('active');
     }
 
+    function selectDatePreset(preset) {
+      document.getElementById('dateFrom').value = defaultDate;
+      document.getElementById('dateTo').value = datePresets[preset].end();
+      datePreset = preset;
+      setActiveDateBtn(datePresets[preset].btn);
+      updateFilters();
+    }
+
     // Date filter
     document.getElementById('applyDateFilter').addEventListener('click', () => {
+      datePreset = null;
       setActiveDateBtn(null);
-      render();
-    });
-    document.getElementById('clearDateFilter').addEventListener('click', () => {
-      document.getElementById('dateFrom').value = defaultDate;
-      document.getElementById('dateTo').value = defaultEndDate;
-      setActiveDateBtn('btnThisQuarter');
-      render();
+      updateFilters();
     });
+    document.getElementById('clearDateFilter').addEventListener('click', () => selectDatePreset('quarter'));
 
     // Quick date filters
-    document.getElementById('btnToday').addEventListener('click', () => {
-      document.getElementById('dateFrom').value = defaultDate;
-      document.getElementById('dateTo').value = defaultDate;
-      setActiveDateBtn('btnToday');
-      render();
+    Object.entries(datePresets).forEach(([preset, { btn }]) => {
+      document.getElementById(btn).addEventListener('click', () => selectDatePreset(preset));
     });
 
-    document.getElementById('btnThisWeek').addEventListener('click', () => {
-      const today = new Date(defaultDate);
-      const endOfWeek = new Date(today);
-      endOfWeek.setDate(today.getDate() + (7 - today.getDay()));
-      document.getElementById('dateFrom').value = defaultDate;
-      document.getElementById('dateTo').value = endOfWeek.toISOString().split('T')[0];
-      setActiveDateBtn('btnThisWeek');
-      render();
-    });
+    // Initial render, from the filters in the URL
+    applyState(readUrlState());
+    render();
+  </script>
+</body>
+</html>`;
 
-    document.getElementById('btnThisMonth').addEventListener('click', () => {
-      const today = new Date(defaultDate);
-      const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-      document.getElementById('dateFrom').value = defaultDate;
-      document.getElementById('dateTo').value = endOfMonth.toISOString().split('T')[0];
-      setActiveDateBtn('btnThisMonth');
-      render();
-    });
+// Shared styles for server-rendered detail pages (venue, show and production pages)
+const PAGE_STYLES = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
+      background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%);
+      min-height: 100vh;
+      color: #fff;
+    }
+    a { color: #f5af19; }
+    .header {
+      background: rgba(0, 0, 0, 0.3);
+      padding: 20px 0;
+      border-bottom: 2px solid #e94560;
+    }
+    .container { max-width: 1200px; margin: 0 auto; padding: 0 20px; }
+    .header-content { display: flex; justify-content: space-between; align-items: center; gap: 15px; }
+    .logo { display: flex; align-items: center; gap: 12px; text-decoration: none; }
+    .logo-icon { font-size: 2.5rem; }
+    .logo h1 {
+      font-size: 1.8rem;
+      font-weight: 700;
+      background: linear-gradient(90deg, #e94560, #f5af19);
+      -webkit-background-clip: text;
+      -webkit-text-fill-color: transparent;
+      background-clip: text;
+    }
+    .page-intro { padding: 30px 0 10px; }
+    .page-title { font-size: 2rem; margin-bottom: 10px; }
+    .venue-address { color: #ccc; margin-bottom: 12px; }
+    .venue-fact { color: #ccc; margin-top: 10px; font-size: 0.95rem; }
+    .venue-icons { display: inline-flex; gap: 6px; }
+    .venue-badge {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      background: rgba(0, 0, 0, 0.6);
+      padding: 4px 8px;
+      border-radius: 8px;
+      font-size: 0.8rem;
+      font-weight: 600;
+      text-decoration: none;
+      color: #fff;
+      border: 1px solid #f5af19;
+    }
+    .section { padding: 30px 0; }
+    .section-title {
+      font-size: 1.5rem;
+      margin-bottom: 20px;
+      padding-left: 15px;
+      border-left: 4px solid #e94560;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+    .section-count {
+      background: rgba(233, 69, 96, 0.3);
+      padding: 4px 12px;
+      border-radius: 12px;
+      font-size: 0.85rem;
+    }
+    .cards-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+      gap: 20px;
+    }
+    .card {
+      background: rgba(255, 255, 255, 0.08);
+      border-radius: 16px;
+      padding: 24px;
+      border: 1px solid rgba(255, 255, 255, 0.1);
+    }
+    .card-badge {
+      display: inline-block;
+      background: rgba(233, 69, 96, 0.3);
+      color: #e94560;
+      padding: 3px 8px;
+      border-radius: 10px;
+      font-size: 0.7rem;
+      font-weight: 600;
+      text-transform: uppercase;
+      margin-bottom: 8px;
+    }
+    .card-title { font-size: 1.3rem; font-weight: 700; margin-bottom: 8px; }
+    .card-venue { color: #f5af19; font-size: 0.95rem; margin-bottom: 10px; }
+    .card-desc { color: #ccc; font-size: 0.9rem; margin-bottom: 10px; }
+    .card-meta {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-top: 10px;
+      font-size: 0.85rem;
+      color: #999;
+    }
+    .card-price { color: #4ade80; }
+    .card-duration { color: #999; font-size: 0.85rem; margin-bottom: 8px; }
+    .card-btn {
+      display: inline-block;
+      margin-top: 15px;
+      padding: 8px 18px;
+      background: #e94560;
+      color: #fff;
+      border-radius: 6px;
+      font-weight: 600;
+      text-decoration: none;
+    }
+    .card-venue a { color: inherit; text-decoration: none; }
+    .card-venue a:hover { text-decoration: underline; }
+    .production-image { display: block; max-width: 100%; max-height: 360px; border-radius: 12px; margin-bottom: 15px; }
+    .production-synopsis { color: #ddd; line-height: 1.6; margin: 10px 0 15px; max-width: 800px; }
+    .creative-team {
+      display: grid;
+      grid-template-columns: max-content 1fr;
+      gap: 6px 20px;
+      font-size: 0.9rem;
+      margin: 15px 0;
+    }
+    .creative-team dt { color: #999; }
+    .creative-team dd { color: #fff; }
+    .card-title a { color: inherit; text-decoration: none; }
+    .card-title a:hover { text-decoration: underline; }
+    .ticket-options { display: flex; flex-wrap: wrap; align-items: center; gap: 10px; margin-top: 15px; }
+    .ticket-options .card-btn { margin-top: 0; }
+    .ticket-option {
+      padding: 8px 14px;
+      border-radius: 6px;
+      border: 1px solid #f5af19;
+      text-decoration: none;
+      font-size: 0.9rem;
+    }
+    .schedule-table { border-collapse: collapse; font-size: 0.9rem; }
+    .schedule-table th, .schedule-table td { padding: 6px 12px; text-align: center; }
+    .schedule-table thead th { color: #999; font-weight: 600; }
+    .schedule-table tbody th { color: #999; text-align: left; font-weight: 600; }
+    .performance-list { list-style: none; display: grid; gap: 6px; }
+    .performance-list li { display: flex; flex-wrap: wrap; align-items: baseline; gap: 10px; }
+    .performance-date { min-width: 110px; color: #ccc; }
+    .performance-note { color: #999; font-size: 0.8rem; font-style: italic; }
+    .show-time.cancelled { text-decoration: line-through; color: #777; }
+    .show-time.changed { color: #f5af19; }
+    .empty-state { color: #999; padding: 30px 0; }
+    .footer {
+      text-align: center;
+      padding: 40px 20px;
+      color: #666;
+      font-size: 0.85rem;
+      border-top: 1px solid rgba(255, 255, 255, 0.1);
+      margin-top: 40px;
+    }
+    @media (max-width: 600px) {
+      .logo h1 { font-size: 1.4rem; }
+      .page-title { font-size: 1.5rem; }
+      .cards-grid { grid-template-columns: 1fr; }
+    }
+`;
 
-    document.getElementById('btnThisQuarter').addEventListener('click', () => {
-      document.getElementById('dateFrom').value = defaultDate;
-      document.getElementById('dateTo').value = defaultEndDate;
-      setActiveDateBtn('btnThisQuarter');
-      render();
-    });
+// Venue Page Template
+const VENUE_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{VENUE_NAME}} - London Musicals</title>
+  <meta name="description" content="Musicals at {{VENUE_NAME}}, London: what's playing now, what's coming soon and past productions.">
+  <style>${PAGE_STYLES}</style>
+</head>
+<body>
+  <header class="header">
+    <div class="container header-content">
+      <a href="/" class="logo">
+        <span class="logo-icon">🎭</span>
+        <h1>London Musicals</h1>
+      </a>
+    </div>
+  </header>
 
-    document.getElementById('btnThisYear').addEventListener('click', () => {
-      const today = new Date(defaultDate);
-      const endOfYear = new Date(today.getFullYear(), 11, 31);
-      document.getElementById('dateFrom').value = defaultDate;
-      document.getElementById('dateTo').value = endOfYear.toISOString().split('T')[0];
-      setActiveDateBtn('btnThisYear');
-      render();
-    });
+  <main class="container">
+    <section class="page-intro">
+      <h2 class="page-title">{{VENUE_NAME}}</h2>
+      {{VENUE_DETAILS}}
+    </section>
+    {{RUN_SECTIONS}}
+  </main>
 
-    // Initial render
-    render();
-  </script>
+  <footer class="footer">
+    <p>London Musicals &copy; 2025 | Powered by Cloudflare Workers</p>
+  </footer>
+</body>
+</html>`;
+
+// Production Page Template
+const PRODUCTION_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{PRODUCTION_TITLE}} - London Musicals</title>
+  <meta name="description" content="{{PRODUCTION_TITLE}} in London: current, upcoming and past runs across venues.">
+  <style>${PAGE_STYLES}</style>
+</head>
+<body>
+  <header class="header">
+    <div class="container header-content">
+      <a href="/" class="logo">
+        <span class="logo-icon">🎭</span>
+        <h1>London Musicals</h1>
+      </a>
+    </div>
+  </header>
+
+  <main class="container">
+    <section class="page-intro">
+      <h2 class="page-title">{{PRODUCTION_TITLE}}</h2>
+      {{PRODUCTION_DETAILS}}
+    </section>
+    {{RUN_SECTIONS}}
+  </main>
+
+  <footer class="footer">
+    <p>London Musicals &copy; 2025 | Powered by Cloudflare Workers</p>
+  </footer>
+</body>
+</html>`;
+
+// Show Page Template
+const SHOW_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{SHOW_TITLE}} at {{VENUE_NAME}} - London Musicals</title>
+  <meta name="description" content="{{SHOW_TITLE}} at {{VENUE_NAME}}, London: performance times, tickets, rush and lottery.">
+  {{META_TAGS}}
+  {{STRUCTURED_DATA}}
+  <style>${PAGE_STYLES}</style>
+</head>
+<body>
+  <header class="header">
+    <div class="container header-content">
+      <a href="/" class="logo">
+        <span class="logo-icon">🎭</span>
+        <h1>London Musicals</h1>
+      </a>
+    </div>
+  </header>
+
+  <main class="container">
+    <section class="page-intro">
+      <h2 class="page-title">{{SHOW_TITLE}}</h2>
+      {{SHOW_DETAILS}}
+    </section>
+    {{RUN_SECTIONS}}
+  </main>
+
+  <footer class="footer">
+    <p>London Musicals &copy; 2025 | Powered by Cloudflare Workers</p>
+  </footer>
 </body>
 </html>`;
 